@@ -43,4 +43,19 @@ export default defineConfig([{
         }],
         "space-unary-ops": "error",
     },
-}]);
\ No newline at end of file
+}, {
+    files: ['server/**'],
+    languageOptions: {
+        sourceType: "commonjs",
+        globals: {
+            ...globals.node,
+        },
+    },
+}, {
+    files: ['test/**'],
+    languageOptions: {
+        globals: {
+            ...globals.node,
+        },
+    },
+}]);
@@ -0,0 +1,178 @@
+/**
+ * WebSocket relay for multiplayer. Players connect, say hello with their name,
+ * aircraft, world seed and imported terrain, and from then on every state
+ * they send is passed on to everyone else. The relay keeps no flight state of
+ * its own; it only makes sure everyone flies in the same world: the first
+ * player to join sets the session's seed (unless one is given on the command
+ * line) and terrain, players with another seed are told the seed and turned
+ * away, and so are players over other terrain.
+ *
+ * Run with `npm run relay`, optionally with PORT and SEED in the environment.
+ *
+ * Messages are JSON objects with a type:
+ *  - client → relay: hello {name, aircraft, seed, terrain}, state {t, position, quaternion, ...}
+ *    (terrain is a hash of the imported heightmap, or null for generated terrain)
+ *  - relay → client: welcome {id, seed, players}, wrong-seed {seed}, wrong-terrain {imported},
+ *    join {id, name, aircraft}, leave {id}, state {id, t, position, quaternion, ...}
+ */
+
+const { WebSocketServer } = require('ws');
+
+const PORT = Number(process.env.PORT) || 8090;
+const CONFIGURED_SEED = process.env.SEED ? Number(process.env.SEED) : null;
+const MAX_PLAYERS = 16;
+const MAX_MESSAGE_SIZE = 4096; // bytes
+const MAX_NAME_LENGTH = 24;
+const HEARTBEAT_INTERVAL = 10000; // milliseconds
+
+// World seeds are unsigned 32-bit integers, as in the ?seed= the client shows
+if (CONFIGURED_SEED !== null && !(Number.isInteger(CONFIGURED_SEED) && CONFIGURED_SEED >= 0 && CONFIGURED_SEED <= 0xFFFFFFFF)) {
+    process.stderr.write(`SEED must be a world seed, a whole number from 0 to 4294967295, not "${process.env.SEED}"\n`);
+    process.exit(1);
+}
+
+const players = new Map(); // socket → {id, name, aircraft, alive}
+let sessionSeed = CONFIGURED_SEED;
+let sessionTerrain = null; // hash of the session's imported terrain, or null if generated
+let nextId = 1;
+
+const server = new WebSocketServer({ port: PORT, maxPayload: MAX_MESSAGE_SIZE });
+server.on('connection', (socket) => {
+    socket.on('message', (data) => handleMessage(socket, data));
+    socket.on('pong', () => {
+        const player = players.get(socket);
+        if (player) { player.alive = true; }
+    });
+    socket.on('close', () => removePlayer(socket));
+    socket.on('error', () => socket.terminate());
+});
+server.on('listening', () => {
+    process.stdout.write(`Multiplayer relay listening on ws://localhost:${PORT}\n`);
+});
+
+// Drop players whose connection died without closing
+setInterval(() => {
+    for (const [socket, player] of players) {
+        if (!player.alive) {
+            socket.terminate();
+            continue;
+        }
+        player.alive = false;
+        socket.ping();
+    }
+}, HEARTBEAT_INTERVAL);
+
+/**
+ * Handles a message from a client.
+ * @param {WebSocket} socket - The client's connection.
+ * @param {Buffer} data - Raw message.
+ */
+function handleMessage(socket, data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch {
+        return; // not JSON, ignore it
+    }
+    if (!message || typeof message !== 'object') { return; }
+    if (message.type === 'hello') {
+        addPlayer(socket, message);
+    } else if (message.type === 'state') {
+        relayState(socket, message);
+    }
+}
+
+/**
+ * Registers a player once they have said hello, if their world matches the session's.
+ * @param {WebSocket} socket - The player's connection.
+ * @param {{name: string, aircraft: string, seed: number, terrain: number|null}} hello - Hello message.
+ */
+function addPlayer(socket, { name, aircraft, seed, terrain = null }) {
+    if (players.has(socket) || !Number.isInteger(seed) || !(terrain === null || Number.isInteger(terrain))) { return; }
+    if (players.size >= MAX_PLAYERS) {
+        socket.close(1013, 'Server full');
+        return;
+    }
+    if (sessionSeed === null) { sessionSeed = seed; }
+    if (seed !== sessionSeed) {
+        send(socket, { type: 'wrong-seed', seed: sessionSeed });
+        socket.close(1000, 'Wrong world');
+        return;
+    }
+    if (players.size === 0) { sessionTerrain = terrain; }
+    if (terrain !== sessionTerrain) {
+        send(socket, { type: 'wrong-terrain', imported: sessionTerrain !== null });
+        socket.close(1000, 'Wrong terrain');
+        return;
+    }
+
+    const player = {
+        id: nextId++,
+        name: String(name || 'Pilot').slice(0, MAX_NAME_LENGTH),
+        aircraft: String(aircraft || ''),
+        alive: true,
+    };
+    send(socket, {
+        type: 'welcome',
+        id: player.id,
+        seed: sessionSeed,
+        players: Array.from(players.values(), other => ({ id: other.id, name: other.name, aircraft: other.aircraft })),
+    });
+    broadcast(socket, { type: 'join', id: player.id, name: player.name, aircraft: player.aircraft });
+    players.set(socket, player);
+}
+
+/**
+ * Passes a player's state on to everyone else, stamped with their id.
+ * @param {WebSocket} socket - The player's connection.
+ * @param {Object} state - State message.
+ */
+function relayState(socket, state) {
+    const player = players.get(socket);
+    if (!player || !isVector(state.position, 3) || !isVector(state.quaternion, 4)) { return; }
+    broadcast(socket, { ...state, id: player.id });
+}
+
+/**
+ * Forgets a player who left and tells everyone else. Once everyone has gone
+ * the session is free to move to another world.
+ * @param {WebSocket} socket - The player's connection.
+ */
+function removePlayer(socket) {
+    const player = players.get(socket);
+    if (!player) { return; }
+    players.delete(socket);
+    broadcast(socket, { type: 'leave', id: player.id });
+    if (players.size === 0) { sessionSeed = CONFIGURED_SEED; }
+}
+
+/**
+ * Sends a message to every player except one.
+ * @param {WebSocket} except - Connection to skip, usually the sender.
+ * @param {Object} message - Message to send.
+ */
+function broadcast(except, message) {
+    const data = JSON.stringify(message);
+    for (const socket of players.keys()) {
+        if (socket !== except && socket.readyState === socket.OPEN) { socket.send(data); }
+    }
+}
+
+/**
+ * Sends a message to one client.
+ * @param {WebSocket} socket - Connection to send on.
+ * @param {Object} message - Message to send.
+ */
+function send(socket, message) {
+    if (socket.readyState === socket.OPEN) { socket.send(JSON.stringify(message)); }
+}
+
+/**
+ * Whether a value is an array of a number of finite numbers.
+ * @param {*} value - Value to check.
+ * @param {number} length - Expected length.
+ * @returns {boolean}
+ */
+function isVector(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
@@ -0,0 +1,161 @@
+/**
+ * Moving parts of the aircraft model: ailerons, elevator and rudder that
+ * deflect with the controls, propellers that spin with the throttle and blur
+ * into a disc at speed, and landing gear that retracts. Each aircraft type
+ * lists its parts in the catalog (see aircraft-catalog.js): the role of the
+ * part, the names of the meshes it is made of, the hinge it turns about in
+ * the body frame, the axis and how far it turns.
+ */
+
+import * as THREE from 'three';
+
+const SURFACE_INPUTS = { aileron: 'roll', elevator: 'pitch', rudder: 'yaw' };
+const SURFACE_RATE = 8; // how quickly surfaces follow the controls, 1/s
+const IDLE_RPM = 700;
+const MAX_RPM = 2500;
+const RPM_RATE = 1.5; // how quickly the engine follows the throttle, 1/s
+const BLUR_START_RPM = 1000; // the disc starts to show, above idle
+const BLUR_FULL_RPM = 2000; // only the disc is drawn
+const DISC_OPACITY = 0.35;
+const GEAR_TIME = 4; // seconds to raise or lower the gear
+
+/**
+ * Splits a model into its moving parts. Each part's meshes are moved under a
+ * pivot at the part's hinge so they can be turned about it.
+ * @param {THREE.Object3D} model - Aircraft model in the body frame.
+ * @param {Array<Object>} [parts] - Part descriptions from the catalog:
+ *        role ('aileron', 'elevator', 'rudder', 'propeller' or 'gear'),
+ *        meshes (names), pivot ([x, y, z] in meters), axis ([x, y, z]),
+ *        angle (full deflection or retraction in degrees) and, for
+ *        propellers, radius (meters).
+ * @returns {Object} The rig, for animateAircraft() and the gear functions.
+ * @throws {Error} If a part names no meshes or a mesh the model doesn't have.
+ */
+export function rigAircraft(model, parts = []) {
+    const rig = { surfaces: [], propellers: [], gear: [], gearDown: true, gearPosition: 1, rpm: IDLE_RPM };
+    model.updateMatrixWorld(true);
+    for (const part of parts) {
+        if (!part.meshes || part.meshes.length === 0) {
+            throw new Error(`The ${part.role} part names no meshes`);
+        }
+        const meshes = part.meshes.map((name) => {
+            const mesh = model.getObjectByName(name);
+            if (!mesh) { throw new Error(`The model has no mesh named "${name}" for the ${part.role}`); }
+            return mesh;
+        });
+        const pivot = new THREE.Group();
+        pivot.position.fromArray(part.pivot ?? [0, 0, 0]);
+        model.add(pivot);
+        pivot.updateMatrixWorld(true);
+        meshes.forEach(mesh => pivot.attach(mesh));
+
+        const entry = {
+            pivot,
+            axis: new THREE.Vector3().fromArray(part.axis ?? [1, 0, 0]).normalize(),
+            angle: THREE.MathUtils.degToRad(part.angle ?? 0),
+            value: 0,
+        };
+        if (part.role === 'propeller') {
+            entry.disc = createPropellerDisc(part.radius ?? 1);
+            entry.disc.position.copy(pivot.position);
+            entry.disc.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), entry.axis);
+            model.add(entry.disc);
+            rig.propellers.push(entry);
+        } else if (part.role === 'gear') {
+            rig.gear.push(entry);
+        } else if (SURFACE_INPUTS[part.role]) {
+            entry.input = SURFACE_INPUTS[part.role];
+            rig.surfaces.push(entry);
+        }
+    }
+    return rig;
+}
+
+/**
+ * Moves the parts for the current controls and throttle.
+ * @param {Object} rig - From rigAircraft().
+ * @param {Object} controls - Normalized pitch, roll and yaw.
+ * @param {number} throttle - Throttle setting, 0 to 1.
+ * @param {number} delta - Seconds since the last frame.
+ * @returns {void}
+ */
+export function animateAircraft(rig, controls, throttle, delta) {
+    const follow = 1 - Math.exp(-SURFACE_RATE * delta);
+    for (const surface of rig.surfaces) {
+        surface.value += ((controls[surface.input] ?? 0) - surface.value) * follow;
+        surface.pivot.quaternion.setFromAxisAngle(surface.axis, surface.value * surface.angle);
+    }
+
+    const targetRpm = THREE.MathUtils.lerp(IDLE_RPM, MAX_RPM, throttle);
+    rig.rpm += (targetRpm - rig.rpm) * (1 - Math.exp(-RPM_RATE * delta));
+    const blur = THREE.MathUtils.smoothstep(rig.rpm, BLUR_START_RPM, BLUR_FULL_RPM);
+    for (const propeller of rig.propellers) {
+        propeller.value = (propeller.value + rig.rpm / 60 * 2 * Math.PI * delta) % (2 * Math.PI);
+        propeller.pivot.quaternion.setFromAxisAngle(propeller.axis, propeller.value);
+        propeller.pivot.visible = blur < 1; // the blades would only strobe at full speed
+        propeller.disc.material.opacity = blur * DISC_OPACITY;
+        propeller.disc.visible = blur > 0;
+    }
+
+    const step = delta / GEAR_TIME;
+    rig.gearPosition = THREE.MathUtils.clamp(rig.gearPosition + (rig.gearDown ? step : -step), 0, 1);
+    const retracted = 1 - THREE.MathUtils.smoothstep(rig.gearPosition, 0, 1);
+    for (const leg of rig.gear) {
+        leg.pivot.quaternion.setFromAxisAngle(leg.axis, retracted * leg.angle);
+    }
+}
+
+/**
+ * Raises or lowers the gear. It stays down while on the ground.
+ * @param {Object} rig - From rigAircraft().
+ * @param {boolean} onGround - Whether the aircraft is on the ground.
+ * @returns {boolean} Whether the gear is now down (or on its way down).
+ */
+export function toggleGear(rig, onGround) {
+    if (rig.gear.length > 0 && !(onGround && rig.gearDown)) {
+        rig.gearDown = !rig.gearDown;
+    }
+    return rig.gearDown;
+}
+
+/**
+ * Sets the gear without animating it, e.g. on reset or when replaying.
+ * @param {Object} rig - From rigAircraft().
+ * @param {boolean} down - Whether the gear is down or on its way down.
+ * @param {number} [position] - How far down it is, 0 (up) to 1 (down);
+ *        defaults to all the way.
+ * @returns {void}
+ */
+export function setGearDown(rig, down, position = down ? 1 : 0) {
+    const fixed = rig.gear.length === 0;
+    rig.gearDown = down || fixed;
+    rig.gearPosition = fixed ? 1 : position;
+}
+
+/**
+ * Describes the gear for the info panel.
+ * @param {Object} rig - From rigAircraft().
+ * @returns {string} 'Fixed', 'Down', 'Up' or 'Moving'.
+ */
+export function describeGear(rig) {
+    if (rig.gear.length === 0) { return 'Fixed'; }
+    if (rig.gearPosition === 1) { return 'Down'; }
+    return rig.gearPosition === 0 ? 'Up' : 'Moving';
+}
+
+/**
+ * Creates the translucent disc a fast-spinning propeller blurs into.
+ * @param {number} radius - Propeller radius in meters.
+ * @returns {THREE.Mesh}
+ */
+function createPropellerDisc(radius) {
+    const disc = new THREE.Mesh(new THREE.CircleGeometry(radius, 32), new THREE.MeshBasicMaterial({
+        color: 0x222222,
+        transparent: true,
+        opacity: 0,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+    }));
+    disc.visible = false;
+    return disc;
+}
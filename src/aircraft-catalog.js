@@ -0,0 +1,204 @@
+/**
+ * Aircraft types, described in aircraft-catalog.json: the model to load (OBJ
+ * with MTL materials, or glTF), its texture, the scale, rotation and offset
+ * that put it in the flight model's body frame (nose along -Z, +Y up), its
+ * moving parts (see rigAircraft()), and the airframe parameters that differ
+ * from DEFAULT_AIRCRAFT. Model, material and texture files are looked up by
+ * name in ./models and ./images. retractableGear only matters for the
+ * fallback model; a loaded model's gear retracts if its parts list gear.
+ * Every mesh a part names must be in the model, or the model is treated as
+ * broken. The bundled airplane OBJ is one body mesh and its glass, with no
+ * separate surfaces, propeller or gear, so its entries list no parts and
+ * keep retractableGear off: a stand-in's gear shouldn't retract when the real
+ * model's can't be seen to.
+ */
+
+import * as THREE from 'three';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DEFAULT_AIRCRAFT } from './flight-model.js';
+import catalog from './aircraft-catalog.json';
+
+export const AIRCRAFT_TYPES = catalog.aircraft;
+export const DEFAULT_AIRCRAFT_TYPE = catalog.default;
+
+const MODEL_FILES = import.meta.webpackContext('./models', { recursive: false, regExp: /\.(obj|mtl|gltf|glb)$/i });
+const IMAGE_FILES = import.meta.webpackContext('./images', { recursive: false, regExp: /\.(jpe?g|png)$/i });
+const FALLBACK_COLOR = 0xff6600; // bright, so a failed model is obvious
+
+/**
+ * Looks up an aircraft type by id.
+ * @param {string} id - Id from the catalog.
+ * @returns {Object|null} The catalog entry, or null if there is none.
+ */
+export function getAircraftType(id) {
+    return AIRCRAFT_TYPES.find(type => type.id === id) ?? null;
+}
+
+/**
+ * Airframe parameters for the flight model: DEFAULT_AIRCRAFT with the
+ * catalog entry's overrides.
+ * @param {Object} type - Catalog entry.
+ * @returns {Object} Parameters for stepFlight()'s aircraft option.
+ */
+export function flightParameters(type) {
+    return { ...DEFAULT_AIRCRAFT, ...type.flight };
+}
+
+/**
+ * Loads an aircraft's model and corrects its scale and orientation.
+ * @param {Object} type - Catalog entry.
+ * @returns {Promise<THREE.Group>} A group in the flight model's body frame
+ *          holding the corrected model, with the catalog's parts in
+ *          userData.parts. Rejects if any file fails to load.
+ */
+export function loadAircraftModel(type) {
+    const { model } = type;
+    const loading = model.format === 'gltf' ? loadGltf(model) : loadObj(model);
+    return loading.then((object) => {
+        object.scale.setScalar(model.scale ?? 1);
+        object.rotation.set(...(model.rotation ?? [0, 0, 0]).map(THREE.MathUtils.degToRad));
+        object.position.fromArray(model.offset ?? [0, 0, 0]);
+        object.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+        // The flight model drives the group; the model keeps its own correction
+        const group = new THREE.Group();
+        group.add(object);
+        group.userData.parts = type.parts ?? [];
+        return group;
+    });
+}
+
+/**
+ * Builds a plain stand-in aircraft from boxes and cylinders, sized from the
+ * airframe's wingspan and gear height, for when the real model can't be
+ * loaded. It has all the moving parts, with the gear retractable if the
+ * catalog entry says so.
+ * @param {Object} type - Catalog entry.
+ * @returns {THREE.Group} A group in the flight model's body frame, with the
+ *          parts in userData.parts.
+ */
+export function createFallbackModel(type) {
+    const { wingSpan: span, gearHeight } = flightParameters(type);
+    const length = span * 0.75;
+    const radius = span * 0.05;
+    const chord = span * 0.14;
+    const wingZ = -length * 0.15;
+    const tailZ = length * 0.42;
+    const tailChord = span * 0.08;
+    const wheelRadius = gearHeight * 0.2;
+    const body = new THREE.MeshStandardMaterial({ color: FALLBACK_COLOR, roughness: 0.6 });
+    const dark = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.8 });
+
+    const group = new THREE.Group();
+    const add = (name, geometry, position, material = body) => {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = name;
+        mesh.position.fromArray(position);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        group.add(mesh);
+    };
+    add('fuselage', new THREE.CylinderGeometry(radius, radius * 0.6, length, 12).rotateX(Math.PI / 2), [0, 0, 0]);
+    add('wing', new THREE.BoxGeometry(span, span * 0.02, chord * 0.75), [0, 0, wingZ - chord / 8]);
+    add('flaps', new THREE.BoxGeometry(span * 0.4, span * 0.02, chord / 4), [0, 0, wingZ + chord * 3 / 8]);
+    add('aileron-left', new THREE.BoxGeometry(span * 0.3, span * 0.015, chord / 4), [-span * 0.35, 0, wingZ + chord * 3 / 8]);
+    add('aileron-right', new THREE.BoxGeometry(span * 0.3, span * 0.015, chord / 4), [span * 0.35, 0, wingZ + chord * 3 / 8]);
+    add('stabilizer', new THREE.BoxGeometry(span * 0.35, span * 0.015, tailChord / 2), [0, 0, tailZ - tailChord / 4]);
+    add('elevator', new THREE.BoxGeometry(span * 0.35, span * 0.012, tailChord / 2), [0, 0, tailZ + tailChord / 4]);
+    add('fin', new THREE.BoxGeometry(span * 0.015, span * 0.14, tailChord / 2), [0, span * 0.07, tailZ - tailChord / 4]);
+    add('rudder', new THREE.BoxGeometry(span * 0.012, span * 0.14, tailChord / 2), [0, span * 0.07, tailZ + tailChord / 4]);
+    const noseZ = -length / 2 - span * 0.01;
+    add('propeller', new THREE.BoxGeometry(span * 0.18, span * 0.012, span * 0.004), [0, 0, noseZ], dark);
+
+    const legs = [['gear-nose', 0, -length * 0.38, [-1, 0, 0]],
+        ['gear-left', -span * 0.12, wingZ + chord * 0.6, [0, 0, 1]],
+        ['gear-right', span * 0.12, wingZ + chord * 0.6, [0, 0, -1]]];
+    const legLength = gearHeight - wheelRadius - radius * 0.8;
+    for (const [name, x, z] of legs) {
+        add(`${name}-leg`, new THREE.CylinderGeometry(span * 0.006, span * 0.006, legLength), [x, -radius * 0.8 - legLength / 2, z], dark);
+        add(`${name}-wheel`, new THREE.CylinderGeometry(wheelRadius, wheelRadius, wheelRadius * 0.6, 12).rotateZ(Math.PI / 2),
+            [x, -gearHeight + wheelRadius, z], dark);
+    }
+
+    const hingeZ = wingZ + chord / 4;
+    group.userData.parts = [
+        { role: 'aileron', meshes: ['aileron-left'], pivot: [0, 0, hingeZ], axis: [1, 0, 0], angle: 20 },
+        { role: 'aileron', meshes: ['aileron-right'], pivot: [0, 0, hingeZ], axis: [-1, 0, 0], angle: 20 },
+        { role: 'elevator', meshes: ['elevator'], pivot: [0, 0, tailZ], axis: [-1, 0, 0], angle: 25 },
+        { role: 'rudder', meshes: ['rudder'], pivot: [0, 0, tailZ], axis: [0, 1, 0], angle: 25 },
+        { role: 'propeller', meshes: ['propeller'], pivot: [0, 0, noseZ], axis: [0, 0, 1], radius: span * 0.09 },
+    ];
+    if (type.retractableGear) {
+        for (const [name, x, z, axis] of legs) {
+            group.userData.parts.push({
+                role: 'gear', meshes: [`${name}-leg`, `${name}-wheel`], pivot: [x, -radius * 0.8, z], axis, angle: 90,
+            });
+        }
+    }
+    return group;
+}
+
+/**
+ * Loads an OBJ model with its MTL materials and an optional texture.
+ * @param {Object} model - The catalog entry's model description.
+ * @returns {Promise<THREE.Object3D>}
+ */
+function loadObj(model) {
+    return new Promise((resolve, reject) => {
+        const objectUrl = assetUrl(MODEL_FILES, model.file);
+        const materialsUrl = model.materials ? assetUrl(MODEL_FILES, model.materials) : null;
+        const textureUrl = model.texture ? assetUrl(IMAGE_FILES, model.texture) : null;
+        const objLoader = new OBJLoader();
+        const loadObject = () => objLoader.load(objectUrl, (object) => {
+            if (textureUrl) {
+                const texture = new THREE.TextureLoader().load(textureUrl);
+                texture.colorSpace = THREE.SRGBColorSpace;
+                object.traverse((child) => {
+                    if (child.isMesh) {
+                        child.material.map = texture;
+                        child.material.needsUpdate = true;
+                    }
+                });
+            }
+            resolve(object);
+        }, null, reject);
+        if (!materialsUrl) {
+            loadObject();
+            return;
+        }
+        new MTLLoader().load(materialsUrl, (materials) => {
+            materials.preload();
+            objLoader.setMaterials(materials);
+            loadObject();
+        }, null, reject);
+    });
+}
+
+/**
+ * Loads a glTF or GLB model, which carries its own materials and textures.
+ * @param {Object} model - The catalog entry's model description.
+ * @returns {Promise<THREE.Object3D>}
+ */
+function loadGltf(model) {
+    return new Promise((resolve, reject) => {
+        new GLTFLoader().load(assetUrl(MODEL_FILES, model.file), gltf => resolve(gltf.scene), null, reject);
+    });
+}
+
+/**
+ * URL of a bundled asset.
+ * @param {Function} files - Webpack context of the asset directory.
+ * @param {string} name - File name in that directory.
+ * @returns {string}
+ * @throws {Error} If the file isn't there.
+ */
+function assetUrl(files, name) {
+    const asset = files(`./${name}`);
+    return typeof asset === 'string' ? asset : asset.default;
+}
@@ -0,0 +1,126 @@
+/**
+ * Low-precision positions of the sun and moon for a date and place on Earth,
+ * good to a fraction of a degree, which is plenty for lighting a scene. The
+ * formulas follow the Astronomical Almanac's low-precision ephemerides.
+ * Angles are in radians; azimuth is measured clockwise from north.
+ */
+
+import * as THREE from 'three';
+
+const J2000 = 2451545.0; // Julian date of 2000-01-01 12:00 UTC
+const MILLISECONDS_PER_DAY = 86400000;
+const UNIX_EPOCH_JULIAN_DATE = 2440587.5;
+const DEG = Math.PI / 180;
+
+/**
+ * Days since J2000 for a date.
+ * @param {Date} date - Moment in time.
+ * @returns {number}
+ */
+export function daysSinceJ2000(date) {
+    return date.getTime() / MILLISECONDS_PER_DAY + UNIX_EPOCH_JULIAN_DATE - J2000;
+}
+
+/**
+ * Position of the sun in the sky.
+ * @param {Date} date - Moment in time.
+ * @param {number} latitude - Observer latitude in degrees, north positive.
+ * @param {number} longitude - Observer longitude in degrees, east positive.
+ * @returns {{elevation: number, azimuth: number}}
+ */
+export function sunPosition(date, latitude, longitude) {
+    const d = daysSinceJ2000(date);
+    const meanAnomaly = (357.529 + 0.98560028 * d) * DEG;
+    const meanLongitude = 280.459 + 0.98564736 * d;
+    const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG;
+    return horizontalFromEcliptic(eclipticLongitude, 0, d, latitude, longitude);
+}
+
+/**
+ * Position of the moon in the sky, ignoring parallax.
+ * @param {Date} date - Moment in time.
+ * @param {number} latitude - Observer latitude in degrees, north positive.
+ * @param {number} longitude - Observer longitude in degrees, east positive.
+ * @returns {{elevation: number, azimuth: number}}
+ */
+export function moonPosition(date, latitude, longitude) {
+    const d = daysSinceJ2000(date);
+    const meanLongitude = 218.316 + 13.176396 * d;
+    const meanAnomaly = (134.963 + 13.064993 * d) * DEG;
+    const argumentOfLatitude = (93.272 + 13.229350 * d) * DEG;
+    const eclipticLongitude = (meanLongitude + 6.289 * Math.sin(meanAnomaly)) * DEG;
+    const eclipticLatitude = 5.128 * Math.sin(argumentOfLatitude) * DEG;
+    return horizontalFromEcliptic(eclipticLongitude, eclipticLatitude, d, latitude, longitude);
+}
+
+/**
+ * Local sidereal time: the right ascension on the observer's meridian.
+ * @param {Date} date - Moment in time.
+ * @param {number} longitude - Observer longitude in degrees, east positive.
+ * @returns {number} Angle in radians, 0 to 2π.
+ */
+export function localSiderealTime(date, longitude) {
+    return siderealTime(daysSinceJ2000(date), longitude);
+}
+
+/**
+ * Fraction of the moon's disc that is lit, from the angle between the sun and
+ * the moon in the sky: 0 at new moon, 1 at full moon.
+ * @param {{elevation: number, azimuth: number}} sun - Sun position.
+ * @param {{elevation: number, azimuth: number}} moon - Moon position.
+ * @returns {number}
+ */
+export function moonIllumination(sun, moon) {
+    return (1 - directionFromHorizontal(sun).dot(directionFromHorizontal(moon))) / 2;
+}
+
+/**
+ * Turns an elevation and azimuth into a world direction, with north along -z
+ * and east along +x.
+ * @param {{elevation: number, azimuth: number}} position - Sky position.
+ * @param {THREE.Vector3} [target] - Vector to write the result into.
+ * @returns {THREE.Vector3} Unit vector towards the body.
+ */
+export function directionFromHorizontal({ elevation, azimuth }, target = new THREE.Vector3()) {
+    return target.set(
+        Math.cos(elevation) * Math.sin(azimuth),
+        Math.sin(elevation),
+        -Math.cos(elevation) * Math.cos(azimuth),
+    );
+}
+
+/**
+ * Converts ecliptic coordinates to elevation and azimuth for an observer.
+ * @param {number} lambda - Ecliptic longitude.
+ * @param {number} beta - Ecliptic latitude.
+ * @param {number} d - Days since J2000.
+ * @param {number} latitude - Observer latitude in degrees.
+ * @param {number} longitude - Observer longitude in degrees.
+ * @returns {{elevation: number, azimuth: number}}
+ */
+function horizontalFromEcliptic(lambda, beta, d, latitude, longitude) {
+    const obliquity = (23.439 - 0.0000004 * d) * DEG;
+    const rightAscension = Math.atan2(
+        Math.sin(lambda) * Math.cos(obliquity) - Math.tan(beta) * Math.sin(obliquity), Math.cos(lambda));
+    const declination = Math.asin(
+        Math.sin(beta) * Math.cos(obliquity) + Math.cos(beta) * Math.sin(obliquity) * Math.sin(lambda));
+
+    const hourAngle = siderealTime(d, longitude) - rightAscension;
+    const phi = latitude * DEG;
+    const elevation = Math.asin(
+        Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle));
+    const azimuth = Math.atan2(
+        -Math.cos(declination) * Math.sin(hourAngle),
+        Math.sin(declination) * Math.cos(phi) - Math.cos(declination) * Math.cos(hourAngle) * Math.sin(phi));
+    return { elevation, azimuth: THREE.MathUtils.euclideanModulo(azimuth, 2 * Math.PI) };
+}
+
+/**
+ * Local sidereal time for a number of days since J2000.
+ * @param {number} d - Days since J2000.
+ * @param {number} longitude - Observer longitude in degrees.
+ * @returns {number} Angle in radians, 0 to 2π.
+ */
+function siderealTime(d, longitude) {
+    return THREE.MathUtils.euclideanModulo((280.46061837 + 360.98564736629 * d + longitude) * DEG, 2 * Math.PI);
+}
@@ -0,0 +1,211 @@
+/**
+ * Camera manager for the flight simulator. Supports a spring-damped chase
+ * camera, a cockpit view, a fixed tower view and free orbit around the
+ * aircraft. Switching modes blends from the current view to the new one
+ * instead of snapping.
+ */
+
+import * as THREE from 'three';
+
+export const CAMERA_MODES = ['chase', 'cockpit', 'tower', 'orbit'];
+export const DEFAULT_CAMERA_MODE = 'chase';
+
+const TRANSITION_DURATION = 1.0; // seconds
+const CHASE_OFFSET = new THREE.Vector3(0, 5, 20); // behind and above, in the aircraft's frame
+const CHASE_LOOK_AHEAD = 10; // meters in front of the aircraft
+const CHASE_STIFFNESS = 40; // 1/s^2
+const CHASE_DAMPING = 2 * Math.sqrt(CHASE_STIFFNESS); // critically damped
+const COCKPIT_OFFSET = new THREE.Vector3(0, 1, -0.5); // pilot's eye, in the aircraft's frame
+const DEFAULT_ORBIT_OFFSET = new THREE.Vector3(4, 1, 9);
+const MAX_DELTA = 0.1; // seconds
+
+let camera;
+let controls;
+let orbitAllowed = true;
+let mode = DEFAULT_CAMERA_MODE;
+const towerPosition = new THREE.Vector3(150, 40, 150);
+const orbitOffset = DEFAULT_ORBIT_OFFSET.clone();
+const chasePosition = new THREE.Vector3();
+const chaseVelocity = new THREE.Vector3();
+const lastChaseTarget = new THREE.Vector3();
+const transition = {
+    active: false,
+    elapsed: 0,
+    fromPosition: new THREE.Vector3(),
+    fromQuaternion: new THREE.Quaternion(),
+};
+
+/**
+ * Sets up the camera manager. Orbit mode is only offered if the controls
+ * start out enabled.
+ * @param {THREE.Camera} sceneCamera - The camera to drive.
+ * @param {OrbitControls} orbitControls - Controls used in orbit mode.
+ * @returns {void}
+ */
+export function initializeCameraManager(sceneCamera, orbitControls) {
+    camera = sceneCamera;
+    controls = orbitControls;
+    orbitAllowed = controls.enabled;
+    controls.enabled = false;
+}
+
+/**
+ * @returns {string} The active camera mode.
+ */
+export function getCameraMode() {
+    return mode;
+}
+
+/**
+ * Switches to a camera mode, blending from the current view.
+ * @param {string} newMode - One of CAMERA_MODES.
+ * @returns {void}
+ */
+export function setCameraMode(newMode) {
+    if (!CAMERA_MODES.includes(newMode) || newMode === mode) { return; }
+    if (newMode === 'orbit' && !orbitAllowed) { return; }
+    mode = newMode;
+    transition.active = true;
+    transition.elapsed = 0;
+    transition.fromPosition.copy(camera.position);
+    transition.fromQuaternion.copy(camera.quaternion);
+    controls.enabled = false;
+}
+
+/**
+ * Moves the tower camera, e.g. next to the runway the aircraft starts on.
+ * @param {THREE.Vector3} position - World position of the tower camera.
+ * @returns {void}
+ */
+export function setTowerPosition(position) {
+    towerPosition.copy(position);
+}
+
+/**
+ * Switches to the next camera mode.
+ * @returns {string} The new camera mode.
+ */
+export function cycleCameraMode() {
+    const modes = CAMERA_MODES.filter(name => name !== 'orbit' || orbitAllowed);
+    setCameraMode(modes[(modes.indexOf(mode) + 1) % modes.length]);
+    return mode;
+}
+
+/**
+ * Returns to the default camera mode and snaps straight to its view on the
+ * next update.
+ * @param {THREE.Object3D} [aircraft] - Aircraft to place the chase camera behind.
+ * @returns {void}
+ */
+export function resetCamera(aircraft) {
+    mode = DEFAULT_CAMERA_MODE;
+    transition.active = false;
+    orbitOffset.copy(DEFAULT_ORBIT_OFFSET);
+    chaseVelocity.set(0, 0, 0);
+    if (aircraft) {
+        chasePosition.copy(chaseTarget(aircraft));
+        lastChaseTarget.copy(chasePosition);
+    }
+    controls.enabled = false;
+}
+
+/**
+ * Moves the camera for the current mode.
+ * @param {THREE.Object3D} aircraft - The aircraft to follow.
+ * @param {number} delta - Seconds since the last frame.
+ * @returns {void}
+ */
+export function updateCamera(aircraft, delta) {
+    const dt = Math.min(delta, MAX_DELTA);
+    updateChaseSpring(aircraft, dt);
+
+    if (mode === 'orbit' && !transition.active) {
+        // Carry the orbit along with the aircraft and let the user rotate around it
+        camera.position.copy(aircraft.position).add(orbitOffset);
+        controls.target.copy(aircraft.position);
+        controls.update();
+        orbitOffset.copy(camera.position).sub(aircraft.position);
+        return;
+    }
+
+    const { position, quaternion } = poseFor(mode, aircraft);
+    if (transition.active) {
+        transition.elapsed += dt;
+        const t = THREE.MathUtils.smoothstep(transition.elapsed / TRANSITION_DURATION, 0, 1);
+        position.lerpVectors(transition.fromPosition, position, t);
+        quaternion.slerpQuaternions(transition.fromQuaternion, quaternion, t);
+        if (transition.elapsed >= TRANSITION_DURATION) {
+            transition.active = false;
+            if (mode === 'orbit') {
+                controls.target.copy(aircraft.position);
+                controls.enabled = true;
+            }
+        }
+    }
+    camera.position.copy(position);
+    camera.quaternion.copy(quaternion);
+}
+
+/**
+ * Computes where the camera should be for a mode.
+ * @param {string} cameraMode - One of CAMERA_MODES.
+ * @param {THREE.Object3D} aircraft - The aircraft being viewed.
+ * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion}}
+ */
+function poseFor(cameraMode, aircraft) {
+    const up = new THREE.Vector3(0, 1, 0);
+    switch (cameraMode) {
+    case 'cockpit':
+        return {
+            position: COCKPIT_OFFSET.clone().applyQuaternion(aircraft.quaternion).add(aircraft.position),
+            quaternion: aircraft.quaternion.clone(),
+        };
+    case 'tower':
+        return lookingAt(towerPosition.clone(), aircraft.position, up);
+    case 'orbit':
+        return lookingAt(aircraft.position.clone().add(orbitOffset), aircraft.position, up);
+    default: {
+        const lookTarget = new THREE.Vector3(0, 0, -CHASE_LOOK_AHEAD)
+            .applyQuaternion(aircraft.quaternion).add(aircraft.position);
+        return lookingAt(chasePosition.clone(), lookTarget, up.applyQuaternion(aircraft.quaternion));
+    }
+    }
+}
+
+/**
+ * Builds a camera pose at a position looking towards a target.
+ * @param {THREE.Vector3} position - Camera position.
+ * @param {THREE.Vector3} target - Point to look at.
+ * @param {THREE.Vector3} up - Up direction.
+ * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion}}
+ */
+function lookingAt(position, target, up) {
+    const matrix = new THREE.Matrix4().lookAt(position, target, up);
+    return { position, quaternion: new THREE.Quaternion().setFromRotationMatrix(matrix) };
+}
+
+/**
+ * @param {THREE.Object3D} aircraft - The aircraft being chased.
+ * @returns {THREE.Vector3} Where the chase camera wants to be.
+ */
+function chaseTarget(aircraft) {
+    return CHASE_OFFSET.clone().applyQuaternion(aircraft.quaternion).add(aircraft.position);
+}
+
+/**
+ * Advances the chase camera's spring towards its spot behind the aircraft.
+ * Damping acts on the velocity relative to that spot so the camera doesn't
+ * trail further behind the faster the aircraft flies.
+ * @param {THREE.Object3D} aircraft - The aircraft being chased.
+ * @param {number} dt - Timestep in seconds.
+ */
+function updateChaseSpring(aircraft, dt) {
+    if (dt <= 0) { return; }
+    const target = chaseTarget(aircraft);
+    const targetVelocity = target.clone().sub(lastChaseTarget).divideScalar(dt);
+    lastChaseTarget.copy(target);
+    const acceleration = target.sub(chasePosition).multiplyScalar(CHASE_STIFFNESS)
+        .addScaledVector(targetVelocity.sub(chaseVelocity), CHASE_DAMPING);
+    chaseVelocity.addScaledVector(acceleration, dt);
+    chasePosition.addScaledVector(chaseVelocity, dt);
+}
@@ -0,0 +1,221 @@
+/**
+ * Simple rigid-body flight model for a light aircraft. The model is pure: it
+ * takes the current flight state plus the pilot's control inputs and returns
+ * a new state, never touching the scene, so it can be stepped from the render
+ * loop or from Node without WebGL.
+ *
+ * The aircraft's body frame follows the Three.js convention: -Z is the nose,
+ * +Y is up and +X is the right wing.
+ */
+
+import * as THREE from 'three';
+
+export const GRAVITY = 9.81; // m/s^2
+export const SEA_LEVEL_DENSITY = 1.225; // kg/m^3
+
+/**
+ * Default airframe parameters, loosely based on a single-engine trainer.
+ */
+export const DEFAULT_AIRCRAFT = {
+    mass: 1100, // kg
+    wingArea: 16.2, // m^2
+    wingSpan: 11, // meters
+    maxThrust: 3000, // N
+    maxSpeed: 55, // m/s
+    stallSpeed: 27, // m/s
+    maxAltitude: 4200, // meters
+    criticalAngle: 0.28, // radians
+    trimAngle: 0.04, // angle of attack the airframe settles at hands-off, radians
+    liftSlope: 5.0, // per radian
+    zeroLiftCoefficient: 0.25,
+    maxLiftCoefficient: 1.4,
+    parasiticDrag: 0.027,
+    inducedDrag: 0.045,
+    sideForceSlope: 1.0, // per radian
+    airBrakeDrag: 0.08,
+    pitchRate: 1.0, // rad/s at full deflection
+    rollRate: 2.0, // rad/s at full deflection
+    yawRate: 0.5, // rad/s at full deflection
+    throttleRate: 0.5, // throttle fraction per second
+    gearHeight: 1.5, // meters
+};
+
+const RATE_RESPONSE = 4; // how quickly angular rates follow the controls, 1/s
+const PITCH_STABILITY = 2.0; // nose-toward-airflow tendency, 1/s
+const YAW_STABILITY = 2.0; // nose-toward-airflow tendency, 1/s
+const STALL_PITCH_DROP = 0.4; // rad/s
+const STALLED_LIFT_FACTOR = 0.4;
+const ROLLING_FRICTION = 0.02;
+const BRAKE_FRICTION = 0.6;
+const DENSITY_SCALE_HEIGHT = 8500; // meters
+
+const FORWARD = new THREE.Vector3(0, 0, -1);
+const UP = new THREE.Vector3(0, 1, 0);
+const RIGHT = new THREE.Vector3(1, 0, 0);
+const NO_WIND = new THREE.Vector3();
+
+/**
+ * Creates an initial flight state.
+ * @param {Object} [options]
+ * @param {THREE.Vector3} [options.position] - Starting position in world space.
+ * @param {THREE.Quaternion} [options.quaternion] - Starting orientation.
+ * @param {number} [options.speed] - Starting airspeed along the nose, m/s.
+ * @param {number} [options.throttle] - Starting throttle, 0 to 1.
+ * @returns {Object} The flight state.
+ */
+export function createFlightState({
+    position = new THREE.Vector3(),
+    quaternion = new THREE.Quaternion(),
+    speed = 0,
+    throttle = 0,
+} = {}) {
+    const q = quaternion.clone();
+    return {
+        position: position.clone(),
+        quaternion: q,
+        velocity: FORWARD.clone().applyQuaternion(q).multiplyScalar(speed),
+        angularVelocity: new THREE.Vector3(), // body rates: x pitch, y yaw, z roll
+        throttle: THREE.MathUtils.clamp(throttle, 0, 1),
+        airspeed: speed,
+        angleOfAttack: 0,
+        stalled: false,
+        onGround: false,
+        time: 0,
+    };
+}
+
+/**
+ * Air density at the given altitude using an exponential atmosphere.
+ * @param {number} altitude - Altitude above sea level in meters.
+ * @returns {number} Density in kg/m^3.
+ */
+export function airDensity(altitude) {
+    return SEA_LEVEL_DENSITY * Math.exp(-Math.max(0, altitude) / DENSITY_SCALE_HEIGHT);
+}
+
+/**
+ * Advances the flight state by one timestep.
+ *
+ * Controls are normalized: pitch, roll and yaw in [-1, 1] (positive is nose
+ * up, roll right and yaw right), throttle in [-1, 1] as the rate at which the
+ * throttle lever moves, and brake in [0, 1].
+ * @param {Object} state - The current flight state (not modified).
+ * @param {Object} controls - The pilot's inputs.
+ * @param {number} dt - The timestep in seconds.
+ * @param {Object} [options]
+ * @param {Object} [options.aircraft] - Airframe parameters.
+ * @param {number} [options.groundHeight] - Ground height below the aircraft.
+ * @param {THREE.Vector3} [options.wind] - Velocity of the air in world space, m/s.
+ * @param {number} [options.seaLevel] - World height of sea level, which air density and
+ *                                      the altitude ceiling are measured from.
+ * @returns {Object} The new flight state.
+ */
+export function stepFlight(state, controls, dt, {
+    aircraft = DEFAULT_AIRCRAFT,
+    groundHeight = -Infinity,
+    wind = NO_WIND,
+    seaLevel = 0,
+} = {}) {
+    const { pitch = 0, roll = 0, yaw = 0, throttle = 0, brake = 0 } = controls;
+    const position = state.position.clone();
+    const velocity = state.velocity.clone();
+    const quaternion = state.quaternion.clone();
+    const angularVelocity = state.angularVelocity.clone();
+    const throttleSetting = THREE.MathUtils.clamp(state.throttle + throttle * aircraft.throttleRate * dt, 0, 1);
+
+    // Body axes in world space
+    const forward = FORWARD.clone().applyQuaternion(quaternion);
+    const up = UP.clone().applyQuaternion(quaternion);
+    const right = RIGHT.clone().applyQuaternion(quaternion);
+
+    // Airflow relative to the body, which moves through air that moves with the wind
+    const airVelocity = velocity.clone().sub(wind);
+    const speed = airVelocity.length();
+    const forwardSpeed = airVelocity.dot(forward);
+    const angleOfAttack = speed > 1e-3 ? Math.atan2(-airVelocity.dot(up), forwardSpeed) : 0;
+    const sideslip = speed > 1e-3 ? Math.atan2(airVelocity.dot(right), forwardSpeed) : 0;
+    const dynamicPressure = 0.5 * airDensity(position.y - seaLevel) * speed * speed;
+    const qS = dynamicPressure * aircraft.wingArea;
+    const stalled = !state.onGround &&
+        (forwardSpeed < aircraft.stallSpeed || Math.abs(angleOfAttack) > aircraft.criticalAngle);
+
+    // Aerodynamic coefficients
+    let liftCoefficient = THREE.MathUtils.clamp(
+        aircraft.zeroLiftCoefficient + aircraft.liftSlope * angleOfAttack,
+        -aircraft.maxLiftCoefficient, aircraft.maxLiftCoefficient);
+    if (stalled) { liftCoefficient *= STALLED_LIFT_FACTOR; }
+    const dragCoefficient = aircraft.parasiticDrag +
+        aircraft.inducedDrag * liftCoefficient * liftCoefficient +
+        aircraft.airBrakeDrag * brake;
+
+    // Forces in world space
+    const force = new THREE.Vector3(0, -aircraft.mass * GRAVITY, 0);
+    if (speed > 1e-3) {
+        const airflow = airVelocity.clone().divideScalar(speed);
+        const liftDirection = up.clone().addScaledVector(airflow, -up.dot(airflow)).normalize();
+        force.addScaledVector(liftDirection, qS * liftCoefficient);
+        force.addScaledVector(airflow, -qS * dragCoefficient);
+        force.addScaledVector(right, -qS * aircraft.sideForceSlope * sideslip);
+    }
+    const ceilingFactor = 1 - Math.pow(THREE.MathUtils.clamp((position.y - seaLevel) / aircraft.maxAltitude, 0, 1), 2);
+    const speedFactor = 1 - Math.pow(THREE.MathUtils.clamp(forwardSpeed / aircraft.maxSpeed, 0, 1), 2);
+    force.addScaledVector(forward, throttleSetting * aircraft.maxThrust * ceilingFactor * speedFactor);
+
+    velocity.addScaledVector(force, dt / aircraft.mass);
+
+    // Angular rates: control surfaces lose authority as airspeed drops
+    const authority = Math.min(1, Math.pow(speed / aircraft.stallSpeed, 2));
+    const target = new THREE.Vector3(
+        (pitch * aircraft.pitchRate - (angleOfAttack - aircraft.trimAngle) * PITCH_STABILITY) * authority,
+        (-yaw * aircraft.yawRate - sideslip * YAW_STABILITY) * authority,
+        -roll * aircraft.rollRate * authority,
+    );
+    if (stalled) { target.x -= STALL_PITCH_DROP; }
+    angularVelocity.lerp(target, Math.min(1, RATE_RESPONSE * dt));
+
+    const angle = angularVelocity.length() * dt;
+    if (angle > 0) {
+        const axis = angularVelocity.clone().normalize();
+        quaternion.multiply(new THREE.Quaternion().setFromAxisAngle(axis, angle)).normalize();
+    }
+
+    position.addScaledVector(velocity, dt);
+
+    // Altitude ceiling
+    if (position.y > seaLevel + aircraft.maxAltitude) {
+        position.y = seaLevel + aircraft.maxAltitude;
+        velocity.y = Math.min(velocity.y, 0);
+    }
+
+    // Ground contact: wheels hold the aircraft up and friction slows it down
+    const floor = groundHeight + aircraft.gearHeight;
+    const onGround = position.y <= floor;
+    if (onGround) {
+        position.y = floor;
+        velocity.y = Math.max(velocity.y, 0);
+        const groundSpeed = Math.hypot(velocity.x, velocity.z);
+        if (groundSpeed > 0) {
+            const friction = (ROLLING_FRICTION + BRAKE_FRICTION * brake) * GRAVITY * dt;
+            const scale = Math.max(0, groundSpeed - friction) / groundSpeed;
+            velocity.x *= scale;
+            velocity.z *= scale;
+        }
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+        euler.x = Math.max(euler.x, 0);
+        euler.z = 0;
+        quaternion.setFromEuler(euler);
+    }
+
+    return {
+        position,
+        quaternion,
+        velocity,
+        angularVelocity,
+        throttle: throttleSetting,
+        airspeed: forwardSpeed,
+        angleOfAttack,
+        stalled,
+        onGround,
+        time: state.time + dt,
+    };
+}
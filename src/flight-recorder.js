@@ -0,0 +1,289 @@
+/**
+ * Flight recording and replay. While flying, the aircraft's state, the
+ * pilot's controls, the simulated time and the weather are sampled at a fixed
+ * rate of flight time, together with the world and weather seeds, so the
+ * flight can be saved as JSON and replayed later over the same terrain and
+ * sky. Replay interpolates between samples and can be paused, scrubbed and
+ * played at different speeds.
+ */
+
+import * as THREE from 'three';
+import { createFlightState } from './flight-model.js';
+
+export const RECORDING_VERSION = 2;
+export const RECORDING_RATE = 20; // samples per second of flight time
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const MAX_SAMPLES = RECORDING_RATE * 60 * 60; // an hour of flight
+const EXPORT_PRECISION = 1e4; // numbers are rounded to this fraction when saved
+
+let recording = null;
+let replay = null;
+
+/**
+ * Starts a new recording, dropping the one in progress.
+ * @param {Object} options
+ * @param {number} options.seed - World seed the terrain is generated from.
+ * @param {number} options.weatherSeed - Seed of the clouds, gusts and rain.
+ * @param {string|null} [options.aircraft] - Id of the aircraft type flown.
+ * @returns {void}
+ */
+export function startRecording({ seed, weatherSeed, aircraft = null }) {
+    recording = {
+        version: RECORDING_VERSION,
+        rate: RECORDING_RATE,
+        seed,
+        weatherSeed,
+        aircraft,
+        created: new Date().toISOString(),
+        samples: [],
+    };
+}
+
+/**
+ * Stops recording.
+ * @returns {Object|null} The finished recording, or null if none was running.
+ */
+export function stopRecording() {
+    const finished = recording;
+    recording = null;
+    return finished;
+}
+
+/**
+ * @returns {Object|null} The recording in progress.
+ */
+export function getRecording() {
+    return recording;
+}
+
+/**
+ * Adds a sample to the recording if one is due. Call after every flight step;
+ * samples are taken every 1 / RECORDING_RATE seconds of flight time.
+ * @param {Object} state - Flight state after the step.
+ * @param {Object} controls - Controls used for the step.
+ * @param {Object} world
+ * @param {Date} world.simTime - Simulated date and time.
+ * @param {string} world.weather - Current weather preset.
+ * @param {{down: boolean, position: number}} world.gear - Whether the gear is
+ *        down or on its way down, and how far down it is (0 to 1).
+ * @returns {void}
+ */
+export function recordSample(state, controls, { simTime, weather, gear }) {
+    if (!recording || recording.samples.length >= MAX_SAMPLES) {
+        return;
+    }
+    const last = recording.samples[recording.samples.length - 1];
+    if (last && state.time < last.time + 1 / recording.rate - 1e-6) {
+        return;
+    }
+    recording.samples.push({
+        time: state.time,
+        position: state.position.toArray(),
+        quaternion: state.quaternion.toArray(),
+        velocity: state.velocity.toArray(),
+        throttle: state.throttle,
+        stalled: state.stalled,
+        onGround: state.onGround,
+        controls: { ...controls },
+        simTime: simTime.getTime(),
+        weather,
+        gear: { ...gear },
+    });
+}
+
+/**
+ * Serializes a recording to JSON.
+ * @param {Object} flightRecording - Recording to save.
+ * @returns {string}
+ */
+export function exportRecording(flightRecording) {
+    return JSON.stringify(flightRecording, (key, value) =>
+        (typeof value === 'number' && !Number.isInteger(value) ? Math.round(value * EXPORT_PRECISION) / EXPORT_PRECISION : value));
+}
+
+/**
+ * Reads a recording saved with exportRecording().
+ * @param {string} text - JSON text.
+ * @returns {Object} The recording.
+ * @throws {Error} If the text is not a recording this version can replay.
+ */
+export function parseRecording(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.samples) || data.samples.length === 0) {
+        throw new Error('Not a flight recording');
+    }
+    if (data.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${data.version}`);
+    }
+    if (!Number.isInteger(data.seed)) {
+        throw new Error('The recording has no world seed');
+    }
+    if (data.aircraft !== null && typeof data.aircraft !== 'string') {
+        throw new Error('The recording has a bad aircraft');
+    }
+    data.samples.forEach((sample, index) => {
+        const problem = sampleProblem(sample, data.samples[index - 1]);
+        if (problem) { throw new Error(`Sample ${index + 1} has ${problem}`); }
+    });
+    return data;
+}
+
+/**
+ * Interpolates a recording at a moment of flight time.
+ * @param {Object} flightRecording - Recording to sample.
+ * @param {number} time - Flight time in seconds, clamped to the recording.
+ * @returns {{state: Object, controls: Object, simTime: Date, weather: string,
+ *           gear: {down: boolean, position: number}}} A flight state (see
+ *          createFlightState()) and the recorded controls, time, weather and gear.
+ */
+export function sampleRecording({ samples }, time) {
+    let low = 0, high = samples.length - 1;
+    while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (samples[middle].time <= time) { low = middle; } else { high = middle; }
+    }
+    const a = samples[low], b = samples[high];
+    const t = b.time > a.time ? THREE.MathUtils.clamp((time - a.time) / (b.time - a.time), 0, 1) : 0;
+    const nearest = t < 0.5 ? a : b;
+
+    const position = new THREE.Vector3().fromArray(a.position).lerp(new THREE.Vector3().fromArray(b.position), t);
+    const quaternion = new THREE.Quaternion().fromArray(a.quaternion).slerp(new THREE.Quaternion().fromArray(b.quaternion), t);
+    const velocity = new THREE.Vector3().fromArray(a.velocity).lerp(new THREE.Vector3().fromArray(b.velocity), t);
+    const state = {
+        ...createFlightState({ position, quaternion }),
+        velocity,
+        airspeed: velocity.length(),
+        throttle: THREE.MathUtils.lerp(a.throttle, b.throttle, t),
+        stalled: nearest.stalled,
+        onGround: nearest.onGround,
+        time: THREE.MathUtils.lerp(a.time, b.time, t),
+    };
+    return {
+        state,
+        controls: nearest.controls,
+        simTime: new Date(THREE.MathUtils.lerp(a.simTime, b.simTime, t)),
+        weather: nearest.weather,
+        gear: { down: nearest.gear.down, position: THREE.MathUtils.lerp(a.gear.position, b.gear.position, t) },
+    };
+}
+
+/**
+ * Starts replaying a recording from its beginning.
+ * @param {Object} flightRecording - Recording to replay.
+ * @returns {void}
+ */
+export function startReplay(flightRecording) {
+    const { samples } = flightRecording;
+    replay = {
+        recording: flightRecording,
+        start: samples[0].time,
+        end: samples[samples.length - 1].time,
+        time: samples[0].time,
+        speed: 1,
+        paused: false,
+    };
+}
+
+/**
+ * Stops replaying.
+ * @returns {void}
+ */
+export function stopReplay() {
+    replay = null;
+}
+
+/**
+ * @returns {boolean} Whether a recording is being replayed.
+ */
+export function isReplaying() {
+    return replay !== null;
+}
+
+/**
+ * @returns {{recording: Object, start: number, end: number, time: number, speed: number, paused: boolean}|null}
+ *          The replay's recording, its flight time range, the current flight
+ *          time, speed and whether it is paused, or null when not replaying.
+ */
+export function getReplay() {
+    return replay;
+}
+
+/**
+ * Pauses or resumes the replay. Resuming at the end starts over.
+ * @param {boolean} paused - Whether to pause.
+ * @returns {void}
+ */
+export function setReplayPaused(paused) {
+    if (!replay) { return; }
+    if (!paused && replay.time >= replay.end) { replay.time = replay.start; }
+    replay.paused = paused;
+}
+
+/**
+ * Sets how many seconds of flight are replayed per real second.
+ * @param {number} speed - Replay speed, e.g. one of REPLAY_SPEEDS.
+ * @returns {void}
+ */
+export function setReplaySpeed(speed) {
+    if (replay && speed > 0) { replay.speed = speed; }
+}
+
+/**
+ * Jumps to a moment of the replay.
+ * @param {number} time - Flight time in seconds, clamped to the recording.
+ * @returns {void}
+ */
+export function seekReplay(time) {
+    if (replay) { replay.time = THREE.MathUtils.clamp(time, replay.start, replay.end); }
+}
+
+/**
+ * Advances the replay, pausing at the end.
+ * @param {number} delta - Real seconds since the last frame.
+ * @returns {Object|null} The interpolated sample (see sampleRecording()), or
+ *          null when not replaying.
+ */
+export function updateReplay(delta) {
+    if (!replay) { return null; }
+    if (!replay.paused) {
+        replay.time = Math.min(replay.end, replay.time + delta * replay.speed);
+        replay.paused = replay.time >= replay.end;
+    }
+    return sampleRecording(replay.recording, replay.time);
+}
+
+/**
+ * Checks a recorded sample.
+ * @param {*} sample - Sample from a recording file.
+ * @param {Object|undefined} previous - The sample before it, if any.
+ * @returns {string|null} What is wrong with it, or null if nothing is.
+ */
+function sampleProblem(sample, previous) {
+    if (!sample || typeof sample !== 'object') { return 'no data'; }
+    if (!Number.isFinite(sample.time) || (previous && sample.time <= previous.time)) { return 'a time out of order'; }
+    if (!isVector(sample.position, 3)) { return 'a bad position'; }
+    if (!isVector(sample.quaternion, 4)) { return 'a bad orientation'; }
+    if (!isVector(sample.velocity, 3)) { return 'a bad velocity'; }
+    if (!Number.isFinite(sample.throttle)) { return 'a bad throttle'; }
+    if (typeof sample.stalled !== 'boolean' || typeof sample.onGround !== 'boolean') { return 'bad flags'; }
+    if (!sample.controls || typeof sample.controls !== 'object' || !Object.values(sample.controls).every(Number.isFinite)) {
+        return 'bad controls';
+    }
+    if (!Number.isFinite(sample.simTime)) { return 'a bad time of day'; }
+    if (typeof sample.weather !== 'string') { return 'bad weather'; }
+    if (!sample.gear || typeof sample.gear.down !== 'boolean' || !(sample.gear.position >= 0 && sample.gear.position <= 1)) {
+        return 'a bad gear position';
+    }
+    return null;
+}
+
+/**
+ * Whether a value is an array of a number of finite numbers.
+ * @param {*} value - Value to check.
+ * @param {number} length - Expected length.
+ * @returns {boolean}
+ */
+function isVector(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
@@ -9,49 +9,108 @@
 import * as THREE from 'three';
 import { Sky } from 'three/addons/objects/Sky.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls'
-import * as TWEEN from 'three/examples/jsm/libs/tween.module.js';
-import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
-import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
-import { generateTerrain, extractTop, extractBottom, extractLeft, extractRight } from './terrain-generation.js';
-
-// const WING_SPAN = 11; // meters
-// const MAX_SPEED = 55; // m/s
-// const MAX_ALTITUDE = 4200; // meters
-// const GRAVITY = 9.81; // m/s^2
+import { generateEdge, extractTop, extractBottom, extractLeft, extractRight, sampleBilinear } from './terrain-generation.js';
+import { initializeTerrainWorkers, requestTerrain, cancelTerrainRequests } from './terrain-workers.js';
+import { createRandom, hashSeed, parseSeed, randomSeed } from './random.js';
+import { colorTerrainGeometry, createDetailTexture } from './terrain-biomes.js';
+import { createWater, updateWater } from './water.js';
+import { initializeWeather, updateWeather, setWeather, getWeather, cycleWeather, getWind, WEATHER_PRESETS, DEFAULT_WEATHER } from './weather.js';
+import { scatterChunk, createScatterMeshes, disposeScatterMeshes } from './scatter.js';
+import { runwayForChunk, runwaySpawn, runwayTowerPosition, nearestRunway, flattenRunways, createRunwayMesh, disposeRunwayMesh } from './runways.js';
+import { exportHeightmaps, decodeHeightmapImage, sliceHeightmap, hashHeightmaps } from './heightmap-io.js';
+import { directionFromHorizontal } from './astronomy.js';
+import { initializeNightSky, updateNightSky, moonBrightness } from './night-sky.js';
+import { initializeSimClock, advanceSimClock, resetSimClock, getSimTime, setSimTime, setTimeOfDay, cycleTimeScale, getTimeScale, getSkyPositions, formatSimTime, TIME_SCALES } from './sim-clock.js';
+import { createFlightState, stepFlight, DEFAULT_AIRCRAFT } from './flight-model.js';
+import { initializeMap, updateMap, recordTrackPoint, clearMap, toggleFullMap, setMapWaypoints } from './navigation-map.js';
+import { initializeMissions, MISSIONS, getMission, startMission, stopMission, getMissionProgress, missionWaypoints, updateMission, updateMissionMarkers } from './missions.js';
+import { rigAircraft, animateAircraft, toggleGear, setGearDown, describeGear } from './aircraft-animation.js';
+import { AIRCRAFT_TYPES, DEFAULT_AIRCRAFT_TYPE, getAircraftType, flightParameters, loadAircraftModel, createFallbackModel } from './aircraft-catalog.js';
+import { initializeHud, computeReadings, updateHud, updateMissionHud, refreshHud } from './hud.js';
+import { initializeCameraManager, updateCamera, cycleCameraMode, resetCamera, setTowerPosition } from './camera-manager.js';
+import { detectGroundContact } from './ground-contact.js';
+import { initializeInput, updateInput, readInput, clearInput } from './input.js';
+import { initializeMultiplayer, loadMultiplayerSettings, connectMultiplayer, disconnectMultiplayer, isOnline, updateMultiplayer } from './multiplayer.js';
+import { startRecording, stopRecording, getRecording, recordSample, exportRecording, parseRecording, startReplay, stopReplay, isReplaying, getReplay, setReplayPaused, setReplaySpeed, seekReplay, updateReplay, REPLAY_SPEEDS } from './flight-recorder.js';
+import { initializeShadows, updateShadows, setupShadowMaterials, releaseShadowMaterials, getShadowQuality, setShadowQuality, SHADOW_QUALITIES, DEFAULT_SHADOW_QUALITY } from './shadows.js';
 
 //for scene 
 const USE_ORBIT_CONTROLS = true;
 const DEBUG = true;
+const DEFAULT_CAMERA_POSITION = new THREE.Vector3(4, 1, 9);
+const DEFAULT_CAMERA_TARGET = new THREE.Vector3(0, 0, 0);
 const [SCENE, CAMERA, RENDERER, CONTROLLER, SKY] = initScene();
 
 // for airplane
 let AIRCRAFT;
+let aircraftType = null; // catalog entry picked from the aircraft menu
+let aircraftParameters = DEFAULT_AIRCRAFT;
+let aircraftRig = null; // moving parts of the aircraft model
+let selectedMission = null; // mission picked from the mission menu, or null for free flight
+const FIXED_TIMESTEP = 1 / 60; // seconds
+const MAX_STEPS_PER_FRAME = 5;
+let flightAccumulator = 0;
+let simulationFrozen = false;
+const clock = new THREE.Clock();
 
 // for sky
-let sunAngle = 180;
-let dayState = { t:0 };
-let tweenStarted = false;
-const duration = 60000;
+const TWILIGHT_ELEVATION = THREE.MathUtils.degToRad(-12); // sun elevation where night ends
+const GOLDEN_HOUR_ELEVATION = THREE.MathUtils.degToRad(10); // sun elevation where full daylight starts
+initializeTime();
+initializeNightSky(SCENE);
 
 // for terrain
 const SQUARE_SIZE = 2000; // meters
-const chunkHeights = {};
-const neighborDirections = [
-    [1, 0], [-1, 0],
-    [0, 1], [0, -1],
-    [1, 1], [-1, -1],
-    [1, -1], [-1, 1]
-];
+const TERRAIN_OFFSET = -100; // meters, world height of a heightmap value of 0
+const TERRAIN_DETAIL = 7; // heightmaps are always generated at the highest level of detail
+const TERRAIN_LODS = [7, 6, 5, 4, 3]; // mesh detail by chunk distance from the aircraft
+const TERRAIN_ROUGHNESS = 1.25;
+const SEA_LEVEL = TERRAIN_OFFSET - 60; // meters, world height of the sea surface
+const RIVERS = true;
+const SCATTER_RADIUS = 1; // chunks around the aircraft that get trees, rocks and houses
+const WORLD_SEED = initializeWorldSeed();
+const TERRAIN_RADIUS = 3; // chunks around the aircraft that are kept in the scene
+const MAX_POOLED_MESHES = 16;
+const RUNWAY_SEARCH_RADIUS = 8; // chunks around the aircraft searched for the nearest runway
+const MAX_IMPORTED_CHUNKS = 1024; // a heightmap image covering more is refused
+const DOWNLOAD_URL_LIFETIME = 10000; // milliseconds a download's object URL is kept so the browser can start it
+const chunkHeights = {}; // kept for every visited chunk so revisits and seams match
+let importedChunks = {}; // heights loaded from a heightmap image, used instead of generating those chunks
+let importedTerrain = null; // hash of importedChunks, so multiplayer only joins players over the same terrain
+const terrainMeshes = {};
+const terrainMeshPool = [];
+const terrainScatter = {};
+const runwayMeshes = {};
+const chunkRunways = new Map(); // runway or null per chunk, depends only on the world seed and imported terrain
+let nearbyRunways = [];
+const pendingChunks = new Set();
+let terrainGeneration = 0; // bumped on reset so results of old requests are dropped
+let currentChunk = null;
+
+// the aircraft starts lined up on the runway of the spawn chunk
+let spawnPoint = runwaySpawn(getChunkRunway(0, 0), aircraftParameters.gearHeight);
+let flightState = createFlightState(spawnPoint);
+setTowerPosition(runwayTowerPosition(getChunkRunway(0, 0)));
 
 // textures and materials
-const terrainTexture = new THREE.TextureLoader().load(new URL('https://cdn.architextures.org/textures/23/10/grass-none-e6q3dt.jpg', import.meta.url).href);
-terrainTexture.wrapS = THREE.RepeatWrapping;
-terrainTexture.wrapT = THREE.RepeatWrapping;
-terrainTexture.repeat.set( 10, 10 );
-const terrainMaterial = new THREE.MeshStandardMaterial({ map: terrainTexture });
+const terrainTexture = createDetailTexture(256, WORLD_SEED);
+terrainTexture.repeat.set( 40, 40 );
+const terrainMaterial = new THREE.MeshStandardMaterial({ map: terrainTexture, vertexColors: true, roughness: 0.95 });
+const WATER = createWater((2 * TERRAIN_RADIUS + 1) * SQUARE_SIZE, WORLD_SEED);
+WATER.position.y = SEA_LEVEL;
+SCENE.add(WATER);
+
+// for weather
+const START_WEATHER = initializeWeatherPreset();
+const windVector = new THREE.Vector3();
+initializeWeather(SCENE, SKY, { seed: hashSeed(WORLD_SEED, 'weather'), preset: START_WEATHER });
+
+// for recording and replay
+startFlightRecording();
 
 /**
  * Adds a terrain chunk at the specified (x, y) grid position if it doesn't already exist.
+ * The heights are generated in a worker, so the chunk appears a little later.
  * @param {*} x integer x position
  * @param {*} y integer y position
  * @returns 
@@ -59,46 +118,342 @@ const terrainMaterial = new THREE.MeshStandardMaterial({ map: terrainTexture });
 function addTerrainChunk(x, y) {
     const key = `${x},${y}`;
     if (chunkHeights[key]) {
+        addTerrainMesh(x, y); // Rebuilds the mesh if it was unloaded or its level of detail changed
         return; // Chunk already exists
     }
+    if (pendingChunks.has(key)) {
+        return; // Chunk is being generated
+    }
     
     // Determine edge indexes
     const topIndex = `${x},${y + 1}`;
     const bottomIndex = `${x},${y - 1}`;
     const leftIndex = `${x - 1},${y}`;
     const rightIndex = `${x + 1},${y}`;
-    const topEdge = chunkHeights[topIndex] ? extractBottom(chunkHeights[topIndex]) : null;
-    const bottomEdge = chunkHeights[bottomIndex] ? extractTop(chunkHeights[bottomIndex]) : null;
-    const leftEdge = chunkHeights[leftIndex] ? extractRight(chunkHeights[leftIndex]) : null;
-    const rightEdge = chunkHeights[rightIndex] ? extractLeft(chunkHeights[rightIndex]) : null;
-
-    // Generate new terrain chunk with edge constraints
-    const newTerrain = generateTerrain(5, 5, {
-        top: topEdge,
-        bottom: bottomEdge,
-        left: leftEdge,
-        right: rightEdge
+    // Edges come from the world seed so that the chunk doesn't depend on the
+    // order chunks are visited in. Generated neighbors start from the same
+    // edges and carve rivers into them the same way, so they meet exactly;
+    // only imported neighbors have edges of their own to match.
+    const topEdge = importedChunks[topIndex] ? extractBottom(importedChunks[topIndex]) : horizontalEdge(x, y + 1);
+    const bottomEdge = importedChunks[bottomIndex] ? extractTop(importedChunks[bottomIndex]) : horizontalEdge(x, y);
+    const leftEdge = importedChunks[leftIndex] ? extractRight(importedChunks[leftIndex]) : verticalEdge(x, y);
+    const rightEdge = importedChunks[rightIndex] ? extractLeft(importedChunks[rightIndex]) : verticalEdge(x + 1, y);
+
+    // Generate new terrain chunk with edge constraints, nearest chunks first
+    const generation = terrainGeneration;
+    pendingChunks.add(key);
+    requestTerrain({
+        detail: TERRAIN_DETAIL,
+        roughness: TERRAIN_ROUGHNESS,
+        edges: { top: topEdge, bottom: bottomEdge, left: leftEdge, right: rightEdge },
+        seed: hashSeed(WORLD_SEED, x, y),
+        rivers: RIVERS ? {
+            originX: x * SQUARE_SIZE + SQUARE_SIZE / 2,
+            originZ: y * SQUARE_SIZE + SQUARE_SIZE / 2,
+            spacing: SQUARE_SIZE / Math.pow(2, TERRAIN_DETAIL),
+            seaLevel: SEA_LEVEL - TERRAIN_OFFSET,
+            seed: WORLD_SEED,
+        } : null,
+        runways: getChunkRunway(x, y) ? {
+            runways: [getChunkRunway(x, y)],
+            originX: x * SQUARE_SIZE + SQUARE_SIZE / 2,
+            originZ: y * SQUARE_SIZE + SQUARE_SIZE / 2,
+            spacing: SQUARE_SIZE / Math.pow(2, TERRAIN_DETAIL),
+            heightOffset: TERRAIN_OFFSET,
+        } : null,
+    }, () => currentChunk ? Math.hypot(x - currentChunk[0], y - currentChunk[1]) : 0).then((newTerrain) => {
+        if (!newTerrain || generation !== terrainGeneration) {
+            return; // Cancelled or reset while generating
+        }
+        pendingChunks.delete(key);
+        reconcileTerrainEdges(x, y, newTerrain);
+        chunkHeights[key] = newTerrain;
+        if (chunkDetail(x, y) !== null) {
+            addTerrainMesh(x, y);
+        }
     });
-    chunkHeights[key] = newTerrain;
-    addTerrainMesh(x, y);
 }
 
 /**
- * Generates terrain chunks for the specified (x, y) grid position and its 8 neighbors.
+ * Makes a newly generated chunk's edges match neighbors that finished while it
+ * was being generated. Neighbors are generated from the same seeded edges and
+ * carve rivers by world position, so normally nothing changes; this only
+ * guards against rounding, and the chunk that existed first always wins.
+ * @param {*} x integer x position
+ * @param {*} y integer y position
+ * @param {Array} terrain the new chunk's heights, modified in place
+ */
+function reconcileTerrainEdges(x, y, terrain) {
+    const max = terrain.length - 1;
+    const top = chunkHeights[`${x},${y + 1}`];
+    const bottom = chunkHeights[`${x},${y - 1}`];
+    const left = chunkHeights[`${x - 1},${y}`];
+    const right = chunkHeights[`${x + 1},${y}`];
+    if (top) { terrain[0].set(extractBottom(top)); }
+    if (bottom) { terrain[max].set(extractTop(bottom)); }
+    if (left) { extractRight(left).forEach((h, i) => { terrain[i][max] = h; }); }
+    if (right) { extractLeft(right).forEach((h, i) => { terrain[i][0] = h; }); }
+}
+
+/**
+ * Height of the terrain at a chunk corner, derived from the world seed. Corner
+ * (cx, cz) sits at world ((cx - 0.5) * SQUARE_SIZE, (cz - 0.5) * SQUARE_SIZE).
+ * Corners of imported chunks keep their imported height, so the seeded edges
+ * of the generated chunks around them meet them without a step.
+ * @param {number} cx integer corner x index
+ * @param {number} cz integer corner z index
+ * @returns {number}
+ */
+function cornerHeight(cx, cz) {
+    // Rows run towards -z and columns towards -x, so the corner is row 0 of
+    // the chunks above it and column 0 of the chunks to its left
+    for (const [x, y] of [[cx - 1, cz - 1], [cx, cz - 1], [cx - 1, cz], [cx, cz]]) {
+        const imported = importedChunks[`${x},${y}`];
+        if (imported) {
+            const max = imported.length - 1;
+            return imported[y === cz - 1 ? 0 : max][x === cx - 1 ? 0 : max];
+        }
+    }
+    const scale = TERRAIN_ROUGHNESS * (Math.pow(2, TERRAIN_DETAIL) + 1) / 2;
+    return (createRandom(hashSeed(WORLD_SEED, 'corner', cx, cz))() * 2 - 1) * scale;
+}
+
+/**
+ * The seeded edge running along x at corner row cz, shared as the top of chunk
+ * (x, cz - 1) and the bottom of chunk (x, cz). Index 0 is at the +x end.
+ * @param {number} x integer chunk x position
+ * @param {number} cz integer corner z index
+ * @returns {Float32Array}
+ */
+function horizontalEdge(x, cz) {
+    return generateEdge(TERRAIN_DETAIL, TERRAIN_ROUGHNESS, cornerHeight(x + 1, cz), cornerHeight(x, cz),
+        createRandom(hashSeed(WORLD_SEED, 'h', x, cz)));
+}
+
+/**
+ * The seeded edge running along z at corner column cx, shared as the left of
+ * chunk (cx, y) and the right of chunk (cx - 1, y). Index 0 is at the +z end.
+ * @param {number} cx integer corner x index
+ * @param {number} y integer chunk y position
+ * @returns {Float32Array}
+ */
+function verticalEdge(cx, y) {
+    return generateEdge(TERRAIN_DETAIL, TERRAIN_ROUGHNESS, cornerHeight(cx, y + 1), cornerHeight(cx, y),
+        createRandom(hashSeed(WORLD_SEED, 'v', cx, y)));
+}
+
+/**
+ * The runway of a chunk, if it has one. The spawn chunk always does. Runways
+ * are flattened to the average height of the chunk's seeded corners, or in
+ * imported chunks to the height of the ground under the runway's center.
+ * @param {number} x integer chunk x position
+ * @param {number} y integer chunk y position
+ * @returns {Object|null} runway from runwayForChunk(), or null
+ */
+function getChunkRunway(x, y) {
+    const key = `${x},${y}`;
+    if (!chunkRunways.has(key)) {
+        const corners = cornerHeight(x, y) + cornerHeight(x + 1, y) + cornerHeight(x, y + 1) + cornerHeight(x + 1, y + 1);
+        const options = {
+            squareSize: SQUARE_SIZE,
+            elevation: corners / 4 + TERRAIN_OFFSET,
+            seaLevel: SEA_LEVEL,
+            always: x === 0 && y === 0,
+        };
+        let runway = runwayForChunk(WORLD_SEED, x, y, options);
+        if (runway && importedChunks[key]) {
+            // The layout doesn't depend on the elevation, so ask again with the right one
+            options.elevation = sampleChunk(importedChunks[key], x, y, runway.x, runway.z) + TERRAIN_OFFSET;
+            runway = runwayForChunk(WORLD_SEED, x, y, options);
+        }
+        chunkRunways.set(key, runway);
+    }
+    return chunkRunways.get(key);
+}
+
+/**
+ * Lists the runways within RUNWAY_SEARCH_RADIUS chunks of the (x, y) grid
+ * position, whether or not their terrain has been generated yet.
+ * @param {*} x integer x position
+ * @param {*} y integer y position
+ * @returns {Array} runways from runwayForChunk()
+ */
+function findNearbyRunways(x, y) {
+    const runways = [];
+    for (let dx = -RUNWAY_SEARCH_RADIUS; dx <= RUNWAY_SEARCH_RADIUS; dx++) {
+        for (let dy = -RUNWAY_SEARCH_RADIUS; dy <= RUNWAY_SEARCH_RADIUS; dy++) {
+            const runway = getChunkRunway(x + dx, y + dy);
+            if (runway) { runways.push(runway); }
+        }
+    }
+    return runways;
+}
+
+/**
+ * Adds the runway of a chunk to the scene, if it has one and it isn't there yet.
+ * @param {*} x integer x position
+ * @param {*} y integer y position
+ */
+function addRunwayMesh(x, y) {
+    const key = `${x},${y}`;
+    const runway = getChunkRunway(x, y);
+    if (runway && !runwayMeshes[key]) {
+        runwayMeshes[key] = createRunwayMesh(runway);
+        setupShadowMaterials(runwayMeshes[key]);
+        SCENE.add(runwayMeshes[key]);
+    }
+}
+
+/**
+ * Removes a chunk's runway from the scene.
+ * @param {string} key chunk key
+ */
+function removeRunwayMesh(key) {
+    const group = runwayMeshes[key];
+    if (group) {
+        SCENE.remove(group);
+        releaseShadowMaterials(group);
+        disposeRunwayMesh(group);
+        delete runwayMeshes[key];
+    }
+}
+
+/**
+ * Generates terrain chunks for the specified (x, y) grid position and every
+ * chunk within TERRAIN_RADIUS of it, nearest first.
  * @param {*} x integer x position
  * @param {*} y integer y position
  * @returns 
  */
 function generateNeighboringChunks(x, y) {
-    // Generate the central chunk and its 8 neighbors
-    addTerrainChunk(x, y);
-    for (const [dx, dy] of neighborDirections) {
+    const offsets = [];
+    for (let dx = -TERRAIN_RADIUS; dx <= TERRAIN_RADIUS; dx++) {
+        for (let dy = -TERRAIN_RADIUS; dy <= TERRAIN_RADIUS; dy++) {
+            offsets.push([dx, dy]);
+        }
+    }
+    offsets.sort((a, b) => Math.hypot(...a) - Math.hypot(...b));
+    for (const [dx, dy] of offsets) {
         addTerrainChunk(x + dx, y + dy);
     }
 }
 
 /**
- * Adds a terrain chunk at the specified (x, y) grid position if it doesn't already exist.
+ * Removes the meshes of chunks further than TERRAIN_RADIUS from the (x, y)
+ * grid position. Their heights stay in chunkHeights for when they come back.
+ * @param {*} x integer x position
+ * @param {*} y integer y position
+ */
+function unloadDistantChunks(x, y) {
+    for (const key of Object.keys(terrainMeshes)) {
+        const [chunkX, chunkY] = key.split(',').map(Number);
+        if (Math.max(Math.abs(chunkX - x), Math.abs(chunkY - y)) > TERRAIN_RADIUS) {
+            releaseTerrainMesh(key);
+            removeChunkScatter(key);
+            removeRunwayMesh(key);
+        }
+    }
+}
+
+/**
+ * Adds the trees, rocks and houses of chunks near the aircraft and removes
+ * those of chunks that are now too far away.
+ * @param {*} x integer x position
+ * @param {*} y integer y position
+ */
+function updateChunkScatter(x, y) {
+    const key = `${x},${y}`;
+    const ring = currentChunk ? Math.max(Math.abs(x - currentChunk[0]), Math.abs(y - currentChunk[1])) : 0;
+    if (ring > SCATTER_RADIUS) {
+        removeChunkScatter(key);
+        return;
+    }
+    if (terrainScatter[key] || !chunkHeights[key]) {
+        return;
+    }
+    const runway = getChunkRunway(x, y);
+    const placements = scatterChunk(chunkHeights[key], {
+        originX: x * SQUARE_SIZE + SQUARE_SIZE / 2,
+        originZ: y * SQUARE_SIZE + SQUARE_SIZE / 2,
+        spacing: SQUARE_SIZE / (chunkHeights[key].length - 1),
+        seaLevel: SEA_LEVEL - TERRAIN_OFFSET,
+        heightOffset: TERRAIN_OFFSET,
+        seed: hashSeed(WORLD_SEED, 'scatter', x, y),
+        runways: runway ? [runway] : [],
+    });
+    terrainScatter[key] = createScatterMeshes(placements);
+    setupShadowMaterials(terrainScatter[key]);
+    SCENE.add(terrainScatter[key]);
+}
+
+/**
+ * Removes a chunk's trees, rocks and houses from the scene.
+ * @param {string} key chunk key
+ */
+function removeChunkScatter(key) {
+    const group = terrainScatter[key];
+    if (group) {
+        SCENE.remove(group);
+        disposeScatterMeshes(group);
+        delete terrainScatter[key];
+    }
+}
+
+/**
+ * Takes a chunk's mesh out of the scene and keeps it for reuse, or disposes it
+ * if the pool is full.
+ * @param {string} key chunk key
+ */
+function releaseTerrainMesh(key) {
+    const mesh = terrainMeshes[key];
+    SCENE.remove(mesh);
+    delete terrainMeshes[key];
+    if (terrainMeshPool.length < MAX_POOLED_MESHES) {
+        terrainMeshPool.push(mesh);
+    } else {
+        mesh.geometry.dispose();
+    }
+}
+
+/**
+ * Gets a terrain mesh with the given number of segments per side, reusing a
+ * pooled one when possible.
+ * @param {number} size segments per side
+ * @returns {THREE.Mesh}
+ */
+function acquireTerrainMesh(size) {
+    const index = terrainMeshPool.findIndex(mesh => mesh.geometry.parameters.widthSegments === size);
+    if (index >= 0) {
+        return terrainMeshPool.splice(index, 1)[0];
+    }
+    const geometry = new THREE.PlaneGeometry(SQUARE_SIZE, SQUARE_SIZE, size, size);
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(geometry.attributes.position.count * 3), 3));
+    const mesh = new THREE.Mesh(geometry, terrainMaterial);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.rotation.z = Math.PI; // Correct orientation
+    mesh.receiveShadow = true;
+    mesh.castShadow = true;
+    setupShadowMaterials(mesh);
+    return mesh;
+}
+
+/**
+ * Picks the mesh detail of a chunk from its distance to the aircraft's chunk.
+ * @param {*} x integer x position
+ * @param {*} y integer y position
+ * @returns {number|null} the detail level, or null if the chunk is out of range
+ */
+function chunkDetail(x, y) {
+    if (!currentChunk) {
+        return TERRAIN_LODS[0];
+    }
+    const ring = Math.max(Math.abs(x - currentChunk[0]), Math.abs(y - currentChunk[1]));
+    return ring > TERRAIN_RADIUS ? null : TERRAIN_LODS[Math.min(ring, TERRAIN_LODS.length - 1)];
+}
+
+/**
+ * Adds the mesh for a terrain chunk at the specified (x, y) grid position,
+ * or rebuilds it if its level of detail or that of its neighbors changed.
  * @param {*} x integer x position
  * @param {*} y integer y position
  * @returns 
@@ -109,24 +464,123 @@ function addTerrainMesh(x, y) {
     if (!terrainData) {
         return; // No terrain data available
     }
-    
-    const size = terrainData.length - 1;
-    const geometry = new THREE.PlaneGeometry(SQUARE_SIZE, SQUARE_SIZE, size, size);
-    const mesh = new THREE.Mesh(geometry, terrainMaterial);
+
+    // Edge details of neighbors without a mesh don't matter, treat them as our own
+    const detail = chunkDetail(x, y) ?? TERRAIN_LODS[0];
+    const neighborDetail = (nx, ny) => chunkDetail(nx, ny) ?? detail;
+    const lod = {
+        detail,
+        top: neighborDetail(x, y + 1),
+        bottom: neighborDetail(x, y - 1),
+        left: neighborDetail(x - 1, y),
+        right: neighborDetail(x + 1, y),
+    };
+    const lodKey = Object.values(lod).join(',');
+    updateChunkScatter(x, y);
+    addRunwayMesh(x, y);
+    if (terrainMeshes[key]) {
+        if (terrainMeshes[key].userData.lodKey === lodKey) {
+            return; // Mesh is up to date
+        }
+        releaseTerrainMesh(key);
+    }
+
+    const heights = downsampleTerrain(terrainData, detail);
+    stitchTerrainEdges(heights, lod);
+    const size = heights.length - 1;
+    const mesh = acquireTerrainMesh(size);
+    const geometry = mesh.geometry;
     for (let i = 0; i <= size; i++) {
         for (let j = 0; j <= size; j++) {
             const vertexIndex = i * (size + 1) + j;
-            geometry.attributes.position.setZ(vertexIndex, terrainData[i][j]);
+            geometry.attributes.position.setZ(vertexIndex, heights[i][j]);
         }
     }
+    geometry.attributes.position.needsUpdate = true;
     geometry.computeVertexNormals();
-    mesh.rotation.x = -Math.PI / 2;
-    mesh.rotation.z = Math.PI; // Correct orientation
-    mesh.position.set(x * SQUARE_SIZE, -100, y * SQUARE_SIZE);
+    geometry.computeBoundingSphere();
+    colorTerrainGeometry(geometry, SEA_LEVEL - TERRAIN_OFFSET);
+    mesh.position.set(x * SQUARE_SIZE, TERRAIN_OFFSET, y * SQUARE_SIZE);
+    mesh.userData.lodKey = lodKey;
 
-    mesh.receiveShadow = true;
-    mesh.castShadow = true;
     SCENE.add(mesh);
+    terrainMeshes[key] = mesh;
+}
+
+/**
+ * Takes every n-th sample of full detail terrain data to get a coarser level of detail.
+ * @param {Array} terrainData heights at TERRAIN_DETAIL
+ * @param {number} detail the level of detail wanted
+ * @returns {Array} heights at the given detail
+ */
+function downsampleTerrain(terrainData, detail) {
+    const step = Math.pow(2, TERRAIN_DETAIL - detail);
+    const size = Math.pow(2, detail);
+    const heights = new Array(size + 1);
+    for (let i = 0; i <= size; i++) {
+        heights[i] = new Float32Array(size + 1);
+        for (let j = 0; j <= size; j++) {
+            heights[i][j] = terrainData[i * step][j * step];
+        }
+    }
+    return heights;
+}
+
+/**
+ * Moves the edge vertices of a chunk onto the straight lines between the
+ * vertices of coarser neighbors, so there are no cracks along the seams.
+ * @param {Array} heights chunk heights at lod.detail, modified in place
+ * @param {{detail: number, top: number, bottom: number, left: number, right: number}} lod
+ *        the chunk's detail and the details of its neighbors
+ */
+function stitchTerrainEdges(heights, lod) {
+    const size = heights.length - 1;
+    const stitch = (neighborDetail, get, set) => {
+        const factor = Math.pow(2, lod.detail - neighborDetail);
+        if (factor <= 1) {
+            return;
+        }
+        for (let k = 0; k < size; k += factor) {
+            const start = get(k), end = get(k + factor);
+            for (let m = 1; m < factor; m++) {
+                set(k + m, start + (end - start) * m / factor);
+            }
+        }
+    };
+    stitch(lod.top, k => heights[0][k], (k, h) => { heights[0][k] = h; });
+    stitch(lod.bottom, k => heights[size][k], (k, h) => { heights[size][k] = h; });
+    stitch(lod.left, k => heights[k][size], (k, h) => { heights[k][size] = h; });
+    stitch(lod.right, k => heights[k][0], (k, h) => { heights[k][0] = h; });
+}
+
+/**
+ * Removes every terrain mesh from the scene and forgets all generated chunks
+ * so the terrain is regenerated around the aircraft on the next frame.
+ */
+function clearTerrain() {
+    for (const key of Object.keys(terrainMeshes)) {
+        SCENE.remove(terrainMeshes[key]);
+        terrainMeshes[key].geometry.dispose();
+        delete terrainMeshes[key];
+    }
+    for (const mesh of terrainMeshPool.splice(0)) {
+        mesh.geometry.dispose();
+    }
+    for (const key of Object.keys(terrainScatter)) {
+        removeChunkScatter(key);
+    }
+    for (const key of Object.keys(runwayMeshes)) {
+        removeRunwayMesh(key);
+    }
+    for (const key of Object.keys(chunkHeights)) {
+        delete chunkHeights[key];
+    }
+    Object.assign(chunkHeights, importedChunks); // imported chunks are never generated
+    clearMap();
+    cancelTerrainRequests();
+    pendingChunks.clear();
+    terrainGeneration++;
+    currentChunk = null;
 }
 
 
@@ -151,8 +605,9 @@ function addHelpers() {
     const slider = document.createElement('input');
     slider.type = 'range';
     slider.min = '0';
-    slider.max = '360';
-    slider.value = '90';
+    slider.max = '24';
+    slider.step = '0.05';
+    slider.value = '12';
     slider.id = 'sunSlider';
     controlsGroup.appendChild(slider);
 
@@ -161,7 +616,7 @@ function addHelpers() {
     }
 
     slider.addEventListener('input', (event) => {
-        sunAngle = parseFloat(event.target.value);
+        setTimeOfDay(parseFloat(event.target.value));
     })
 }
 
@@ -169,6 +624,70 @@ if (DEBUG) {
     addHelpers();
 }
 
+/**
+ * Reads the world seed from the ?seed= query parameter, or picks a random one,
+ * and shows it in the info panel.
+ * @returns {number} The world seed.
+ */
+function initializeWorldSeed() {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    const seed = param ? parseSeed(param) : randomSeed();
+    const seedElement = document.getElementById('seed');
+    if (seedElement) {
+        seedElement.textContent = seed;
+    }
+    return seed;
+}
+
+/**
+ * Reads the starting weather from the ?weather= query parameter, falling back
+ * to the default preset, and shows it in the info panel.
+ * @returns {string} A key of WEATHER_PRESETS.
+ */
+function initializeWeatherPreset() {
+    const param = new URLSearchParams(window.location.search).get('weather');
+    const preset = WEATHER_PRESETS[param] ? param : DEFAULT_WEATHER;
+    showWeather(preset);
+    return preset;
+}
+
+/**
+ * Shows the weather preset's name in the info panel.
+ * @param {string} preset - A key of WEATHER_PRESETS.
+ */
+function showWeather(preset) {
+    const weatherElement = document.getElementById('weather');
+    if (weatherElement) {
+        weatherElement.textContent = preset;
+    }
+}
+
+/**
+ * Reads the shadow quality from the ?shadows= query parameter, falling back
+ * to the default.
+ * @returns {string} A key of SHADOW_QUALITIES.
+ */
+function initializeShadowQuality() {
+    const param = new URLSearchParams(window.location.search).get('shadows');
+    return SHADOW_QUALITIES[param] ? param : DEFAULT_SHADOW_QUALITY;
+}
+
+/**
+ * Fills the shadow quality menu, starting at the quality the page was opened
+ * with. Picking another rebuilds the cascades.
+ */
+function initializeShadowMenu() {
+    const select = document.getElementById('shadow-quality');
+    for (const name of Object.keys(SHADOW_QUALITIES)) {
+        const selected = name === getShadowQuality();
+        select.add(new Option(name[0].toUpperCase() + name.slice(1), name, selected, selected));
+    }
+    select.addEventListener('change', () => {
+        select.blur(); // keep the keys for flying
+        setShadowQuality(select.value);
+    });
+}
+
 /**
  * Initializes the Three.js scene, camera, renderer, sky, lights, and orbit controls.
  * @returns {[THREE.Scene, THREE.Camera, THREE.WebGLRenderer, OrbitControls, Sky]}
@@ -189,23 +708,26 @@ function initScene() {
     renderer.shadowMap.enabled = true;
     const container = document.getElementById('container');
     container.appendChild(renderer.domElement);
+    initializeShadows(scene, camera, initializeShadowQuality());
     const controls = initializeOrbitControls(camera, renderer);
-    const aircraft = initializeAircraft(scene)
+    initializeCameraManager(camera, controls);
 
-    camera.position.set(4, 1, 9);
-    camera.lookAt(0, 0, 0);
+    camera.position.copy(DEFAULT_CAMERA_POSITION);
+    camera.lookAt(DEFAULT_CAMERA_TARGET);
+    controls.target.copy(DEFAULT_CAMERA_TARGET);
     controls.update();
 
-    const sunDirectionalLight = initializeLights(scene, sunPosition, sky);
+    initializeLights(scene, sunPosition, sky);
     if (DEBUG) {
+        // Marks the world origin; the shadow cascades follow the camera instead
         const sphereGeometry = new THREE.SphereGeometry(1, 32, 32);
         const sphereMaterial = new THREE.MeshStandardMaterial({ color: 0xff00 });
         const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
         scene.add(sphere);
-        sunDirectionalLight.target = sphere;
+        setupShadowMaterials(sphere);
     }
 
-    return [scene, camera, renderer, controls, sky, aircraft];
+    return [scene, camera, renderer, controls, sky];
 }
 
 /**
@@ -238,7 +760,8 @@ function initializeOrbitControls(camera, renderer) {
 
 /**
  * Adds ambient light and directional sunlight to the scene.
- * Links the sun to the sky system for dynamic updates.
+ * Links the sun to the sky system for dynamic updates. Shadows come from the
+ * cascades in shadows.js, which copy whichever of the sun and moon is brighter.
  * @param {THREE.Scene} scene - Scene to modify.
  * @param {THREE.Vector3} sunPosition - Initial sun direction.
  * @param {Sky} sky - Sky object for shared light reference.
@@ -249,20 +772,10 @@ function initializeLights(scene, sunPosition, sky) {
     scene.add(ambientLight);
 
     const sunDirectionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
-    sunDirectionalLight.castShadow = true;
-    sunDirectionalLight.shadow.mapSize.width = 2048;
-    sunDirectionalLight.shadow.mapSize.height = 2048;
-    sunDirectionalLight.shadow.camera.near = 0.5;
-    sunDirectionalLight.shadow.camera.far = 5000;
     sunDirectionalLight.position.copy(sunPosition);
     scene.add(sunDirectionalLight);
 
     const moonDirectionalLight = new THREE.DirectionalLight(0xF4F4F8, 0.2);
-    moonDirectionalLight.castShadow = true;
-    moonDirectionalLight.shadow.mapSize.width = 2048;
-    moonDirectionalLight.shadow.mapSize.height = 2048;
-    moonDirectionalLight.shadow.camera.near = 0.5;
-    moonDirectionalLight.shadow.camera.far = 5000;
     moonDirectionalLight.position.copy(sunPosition);
     moonDirectionalLight.position.multiplyScalar(-1);
     scene.add(moonDirectionalLight);
@@ -296,38 +809,89 @@ function initializeSky(scene) {
 }
 
 /**
- * Creates a mock aircraft
- * @param {THREE.Scene} scene - Scene to attach the aircraft
- * @return aircraft
- * */
-function initializeAircraft(scene) {
-    const mtlPath = new URL('./models/11804_Airplane_v2_l2.mtl', import.meta.url).href;
-    const objPath = new URL('./models/11804_Airplane_v2_l2.obj', import.meta.url).href;
-    const texPath = new URL('./images/11804_Airplane_diff.jpg', import.meta.url).href;
-
-    const mtlLoader = new MTLLoader();
-    mtlLoader.load(mtlPath, (materials) => {
-        materials.preload();
-        const objLoader = new OBJLoader();
-        objLoader.setMaterials(materials);
-        objLoader.load(objPath, (object) => {
-            const texture = new THREE.TextureLoader().load(texPath);
-            object.traverse((child) => {
-                if (child.isMesh) {
-                    child.material.map = texture;
-                    child.material.needsUpdate = true;
-                }
-            });
-            object.scale.set(0.01, 0.01, 0.01);
-            object.rotation.x = -Math.PI / 2;
-            object.position.set(0, 3, 0);
-            AIRCRAFT = object;
-            AIRCRAFT.castShadow = true;
-            if (!DEBUG) { scene.add(object) }
-        });
+ * Shows the aircraft menu, one button per catalog entry. The ?aircraft= query
+ * parameter picks an aircraft straight away instead.
+ */
+function initializeAircraftMenu() {
+    const param = getAircraftType(new URLSearchParams(window.location.search).get('aircraft'));
+    if (param) {
+        selectAircraft(param);
+        return;
+    }
+    const list = document.getElementById('aircraft-list');
+    for (const type of AIRCRAFT_TYPES) {
+        const { maxSpeed, stallSpeed, mass } = flightParameters(type);
+        const button = document.createElement('button');
+        const name = document.createElement('strong');
+        name.textContent = type.name;
+        button.append(name, document.createElement('br'), type.description, document.createElement('br'),
+            `Top speed ${Math.round(maxSpeed * 3.6)} km/h, stall ${Math.round(stallSpeed * 3.6)} km/h, ${mass} kg`);
+        button.addEventListener('click', () => selectAircraft(type));
+        if (type.id === DEFAULT_AIRCRAFT_TYPE) { button.autofocus = true; }
+        list.appendChild(button);
+    }
+    document.getElementById('aircraft-menu').hidden = false;
+}
+
+/**
+ * Switches to an aircraft type: its airframe for the flight model and its
+ * model in the scene, or a plain stand-in if the model fails to load. The
+ * aircraft is put back at the spawn point on the runway.
+ * @param {Object} type - Catalog entry.
+ * @returns {Promise<void>} Resolves once the aircraft is in the scene.
+ */
+function selectAircraft(type) {
+    document.getElementById('aircraft-menu').hidden = true;
+    aircraftType = type;
+    aircraftParameters = flightParameters(type);
+    spawnPoint = runwaySpawn(getChunkRunway(0, 0), aircraftParameters.gearHeight);
+    showAircraftName(type.name);
+    // A model whose parts don't match its meshes is as broken as one that didn't load
+    return loadAircraftModel(type).then(group => ({ group, rig: rigAircraft(group, group.userData.parts) })).catch((error) => {
+        showAircraftName(`${type.name} (${error instanceof Error ? error.message : 'model failed to load'})`);
+        const group = createFallbackModel(type);
+        return { group, rig: rigAircraft(group, group.userData.parts) };
+    }).then(({ group, rig }) => {
+        if (AIRCRAFT) {
+            SCENE.remove(AIRCRAFT);
+            releaseShadowMaterials(AIRCRAFT);
+        }
+        flightState = createFlightState(spawnPoint);
+        flightAccumulator = 0;
+        group.position.copy(flightState.position);
+        group.quaternion.copy(flightState.quaternion);
+        aircraftRig = rig;
+        setupShadowMaterials(group);
+        AIRCRAFT = group;
+        AIRCRAFT.castShadow = true;
+        resetCamera(AIRCRAFT);
+        startFlightRecording();
+        if (!DEBUG) { SCENE.add(group) }
     });
 }
 
+/**
+ * Shows whether the gear is up or down in the info panel.
+ */
+function showGear() {
+    const gearElement = document.getElementById('gear');
+    const text = describeGear(aircraftRig);
+    if (gearElement && gearElement.textContent !== text) {
+        gearElement.textContent = text;
+    }
+}
+
+/**
+ * Shows the aircraft's name in the info panel.
+ * @param {string} name - Name, with a note if the model didn't load.
+ */
+function showAircraftName(name) {
+    const aircraftElement = document.getElementById('aircraft');
+    if (aircraftElement) {
+        aircraftElement.textContent = name;
+    }
+}
+
 /**
  * Updates the sun's position over time to simulate a moving sky.
  */
@@ -359,88 +923,117 @@ function initializeAircraft(scene) {
 // }
 
 /**
- * Updates the sun's position over time to simulate a moving sky.
+ * Advances the simulated clock and moves the sun and moon to match.
+ * @param {number} delta - Real seconds since the last frame.
+ * @returns {number} The sun's intensity, 0 at night to 1 in full daylight.
  */
-function updateSky() {
-    const t = updateTimeCycle();
-    const { phi, sunIntensity, moonIntensity } = updateSunAndMoonPositions(t);
-    const { sunColor, skyColor } = updateSkyColors(t);
-    updateLighting(phi, sunIntensity, moonIntensity, sunColor, skyColor);
+function updateSky(delta) {
+    advanceSimClock(delta);
+    const { sun, sunIntensity, moonIntensity } = updateSunAndMoonPositions();
+    const { sunColor, skyColor } = updateSkyColors(sun.elevation, sun.azimuth);
+    updateLighting(sunIntensity, moonIntensity, sunColor, skyColor);
+    showSimTime();
+    return sunIntensity;
 }
 
 /**
- * Updates time and tween cycle for day
- * */
-function updateTimeCycle() {
-    if (DEBUG) {
-        return (dayState.t = sunAngle / 360);
+ * Reads the starting date, place and time scale from the ?date=, ?lat=, ?lon=
+ * and ?timescale= query parameters, defaulting to now at the default location.
+ */
+function initializeTime() {
+    const params = new URLSearchParams(window.location.search);
+    const options = {};
+    const date = new Date(params.get('date') ?? Date.now());
+    if (!Number.isNaN(date.getTime())) { options.date = date; }
+    for (const [param, option] of [['lat', 'latitude'], ['lon', 'longitude'], ['timescale', 'timeScale']]) {
+        const value = Number(params.get(param));
+        if (params.has(param) && Number.isFinite(value)) { options[option] = value; }
     }
-    if (!tweenStarted) {
-        new TWEEN.Tween(dayState)
-            .to({ t: 1 }, duration)
-            .easing(TWEEN.Easing.Linear.None)
-            .onComplete(() => (dayState.t = 0))
-            .repeat(Infinity)
-            .start();
-        tweenStarted = true;
+    if ('timeScale' in options && !TIME_SCALES.includes(options.timeScale)) { delete options.timeScale; }
+    initializeSimClock(options);
+}
+
+/**
+ * Shows the simulated time and time scale in the info panel.
+ */
+function showSimTime() {
+    const timeElement = document.getElementById('time');
+    const scale = getTimeScale();
+    const text = `${formatSimTime()} (${scale ? `${scale}x` : 'paused'})`;
+    if (timeElement && timeElement.textContent !== text) {
+        timeElement.textContent = text;
     }
-    TWEEN.update();
-    return dayState.t;
 }
 
 /**
- * Updates sun and moon positions based on time
- * */
-function updateSunAndMoonPositions(t) {
-    const theta = THREE.MathUtils.degToRad(180);
-    const phi = THREE.MathUtils.degToRad(180 - t * 360);
-    const sunPosition = new THREE.Vector3().setFromSphericalCoords(1, phi, theta);
+ * Points the sky shader, sunlight and moonlight at the sun's and moon's
+ * positions for the simulated time and place, and turns the night sky.
+ * @returns {{sun: Object, moon: Object, sunIntensity: number, moonIntensity: number}}
+ *          Sky positions from getSkyPositions() and light intensities from 0 to 1.
+ */
+function updateSunAndMoonPositions() {
+    const sky = getSkyPositions();
+    const { sun, moon } = sky;
+    const sunPosition = directionFromHorizontal(sun);
     SKY.material.uniforms.sunPosition.value.copy(sunPosition);
     SKY.userData.sunLight.position.copy(sunPosition);
     SKY.userData.sunLight.lookAt(0, 0, 0);
-    SKY.userData.moonLight.position.copy(sunPosition).multiplyScalar(-1);
+    directionFromHorizontal(moon, SKY.userData.moonLight.position);
     SKY.userData.moonLight.lookAt(0, 0, 0);
-    const sunIntensity = Math.max(0, Math.cos(phi));
-    const moonIntensity = Math.max(0, -Math.cos(phi));
-    return { phi, sunIntensity, moonIntensity, sunPosition };
+    const sunIntensity = THREE.MathUtils.smoothstep(sun.elevation, THREE.MathUtils.degToRad(-2), GOLDEN_HOUR_ELEVATION * 3);
+    const moonIntensity = moonBrightness(sky);
+    updateNightSky(CAMERA, sky);
+    return { sun, moon, sunIntensity, moonIntensity };
 }
 
 /**
- * Updates sun and sky colors based on time
- * */
-function updateSkyColors(t) {
+ * Picks sun and sky colors from the sun's elevation: night below twilight,
+ * sunrise or sunset colors near the horizon, and daylight above.
+ * @param {number} elevation - Sun elevation in radians.
+ * @param {number} azimuth - Sun azimuth in radians, to tell sunrise from sunset.
+ * @returns {{sunColor: THREE.Color, skyColor: THREE.Color}}
+ */
+function updateSkyColors(elevation, azimuth) {
     const midnight = new THREE.Color(0x112244);
     const sunrise = new THREE.Color(0xffb366);
     const noon = new THREE.Color(0xffffff);
     const sunset = new THREE.Color(0xff8844);
     const nightSky = new THREE.Color(0x000011);
     const daySky = new THREE.Color(0x87ceeb);
+    const horizon = azimuth < Math.PI ? sunrise : sunset;
     let sunColor = new THREE.Color();
     let skyColor = new THREE.Color();
-    if (t < 0.25) {
-        // Midnight → Sunrise
-        sunColor.lerpColors(midnight, sunrise, t / 0.25);
-        skyColor.lerpColors(nightSky, daySky, t / 0.25);
-    } else if (t < 0.5) {
-        // Sunrise → Noon
-        sunColor.lerpColors(sunrise, noon, (t - 0.25) / 0.25);
-        skyColor.lerpColors(daySky, noon, (t - 0.25) / 0.25);
-    } else if (t < 0.75) {
-        // Noon → Sunset
-        sunColor.lerpColors(noon, sunset, (t - 0.5) / 0.25);
-        skyColor.lerpColors(daySky, sunset, (t - 0.5) / 0.25);
+    if (elevation < TWILIGHT_ELEVATION) {
+        // Night
+        sunColor.copy(midnight);
+        skyColor.copy(nightSky);
+    } else if (elevation < 0) {
+        // Twilight → Sunrise/Sunset
+        const f = 1 - elevation / TWILIGHT_ELEVATION;
+        sunColor.lerpColors(midnight, horizon, f);
+        skyColor.lerpColors(nightSky, horizon, f);
+    } else if (elevation < GOLDEN_HOUR_ELEVATION) {
+        // Sunrise/Sunset → Day
+        const f = elevation / GOLDEN_HOUR_ELEVATION;
+        sunColor.lerpColors(horizon, noon, f);
+        skyColor.lerpColors(horizon, daySky, f);
     } else {
-        // Sunset → Midnight
-        sunColor.lerpColors(sunset, midnight, (t - 0.75) / 0.25);
-        skyColor.lerpColors(sunset, nightSky, (t - 0.75) / 0.25);
+        // Day
+        sunColor.copy(noon);
+        skyColor.copy(daySky);
     }
     return { sunColor, skyColor };
 }
 
 /**
- *
- * **/
-function updateLighting(phi, sunIntensity, moonIntensity, sunColor, skyColor) {
+ * Sets the sun, moon and ambient light intensities and colors, the background
+ * and the fog color.
+ * @param {number} sunIntensity - 0 to 1.
+ * @param {number} moonIntensity - 0 to 1.
+ * @param {THREE.Color} sunColor - Color of the sunlight.
+ * @param {THREE.Color} skyColor - Color of the sky.
+ */
+function updateLighting(sunIntensity, moonIntensity, sunColor, skyColor) {
     const sunLight = SKY.userData.sunLight;
     const moonLight = SKY.userData.moonLight;
     const ambient = SCENE.children.find(obj => obj.isAmbientLight);
@@ -454,15 +1047,568 @@ function updateLighting(phi, sunIntensity, moonIntensity, sunColor, skyColor) {
     SCENE.fog.color.copy(skyColor.clone().lerp(new THREE.Color(0x111111),0.3));
 }
 
+/**
+ * Connects the input devices to the simulator's commands and wires up the
+ * buttons on the page.
+ */
+function initializeControls() {
+    const commands = {
+        reset: () => reset(),
+        camera: () => cycleCameraMode(),
+        weather: () => showWeather(cycleWeather()),
+        timeScale: () => cycleTimeScale(),
+        replay: () => toggleReplay(),
+        gear: () => aircraftRig && toggleGear(aircraftRig, flightState.onGround),
+        map: () => toggleFullMap(),
+    };
+    initializeInput({ onCommand: (name) => commands[name]() });
+    document.getElementById('reset').addEventListener('click', () => reset());
+    document.getElementById('result-reset').addEventListener('click', () => reset());
+    document.getElementById('result-continue').addEventListener('click', () => hideResult());
+    document.getElementById('result-replay').addEventListener('click', () => toggleReplay());
+    initializeReplayControls();
+}
+initializeControls();
+initializeMap({
+    minimap: document.getElementById('minimap'),
+    fullMap: document.getElementById('full-map'),
+    squareSize: SQUARE_SIZE,
+    heightOffset: TERRAIN_OFFSET,
+    seaLevel: SEA_LEVEL,
+});
+initializeMissions(SCENE, getSurfaceHeight);
+initializeMissionMenu();
+initializeShadowMenu();
+initializeAircraftMenu();
+initializeMultiplayerPanel();
+initializeTerrainFiles();
+initializeHud();
+initializeTerrainWorkers();
+
+/**
+ * Fills the mission menu. Picking a mission resets the aircraft to the
+ * runway and starts it; picking free flight drops the mission.
+ */
+function initializeMissionMenu() {
+    const select = document.getElementById('mission-select');
+    for (const mission of MISSIONS) {
+        const option = new Option(mission.name, mission.id);
+        option.title = mission.description;
+        select.add(option);
+    }
+    select.addEventListener('change', () => {
+        select.blur(); // keep the keys for flying
+        selectedMission = getMission(select.value);
+        reset();
+    });
+}
+
+/**
+ * Starts the selected mission afresh from the home runway, or stops any
+ * mission when flying freely, and shows its waypoints on the map.
+ */
+function restartMission() {
+    if (selectedMission) {
+        startMission(selectedMission, getChunkRunway(0, 0));
+    } else {
+        stopMission();
+    }
+    setMapWaypoints(missionWaypoints());
+}
+
+/**
+ * Wires up the multiplayer panel. A ?server= query parameter (with ?name=)
+ * connects straight away, which is how a link to the session's world rejoins it.
+ */
+function initializeMultiplayerPanel() {
+    const name = document.getElementById('multiplayer-name');
+    const server = document.getElementById('multiplayer-server');
+    const button = document.getElementById('multiplayer-connect');
+    const params = new URLSearchParams(window.location.search);
+    const settings = loadMultiplayerSettings();
+    name.value = params.get('name') ?? settings.name;
+    server.value = params.get('server') ?? settings.server;
+    const connect = () => connectMultiplayer(server.value.trim(), {
+        name: name.value.trim() || 'Pilot',
+        aircraft: aircraftType && aircraftType.id,
+        terrain: importedTerrain,
+    });
+    initializeMultiplayer({
+        scene: SCENE,
+        seed: WORLD_SEED,
+        onStatus: (text, link) => {
+            showMultiplayerStatus(text, link);
+            button.textContent = isOnline() ? 'Disconnect' : 'Connect';
+        },
+    });
+    button.addEventListener('click', () => {
+        button.blur();
+        if (isOnline()) {
+            disconnectMultiplayer();
+        } else {
+            connect();
+        }
+    });
+    if (params.has('server')) { connect(); }
+}
+
+/**
+ * Shows the multiplayer connection status, optionally as a link.
+ * @param {string} text - Status to show.
+ * @param {string} [link] - URL to open, e.g. the session's world.
+ */
+function showMultiplayerStatus(text, link) {
+    const status = document.getElementById('multiplayer-status');
+    status.replaceChildren();
+    if (link) {
+        const anchor = document.createElement('a');
+        anchor.href = link;
+        anchor.textContent = text;
+        status.appendChild(anchor);
+    } else {
+        status.textContent = text;
+    }
+}
+
+/**
+ * Wires up exporting the visited chunks as heightmap files and importing a
+ * heightmap image as terrain.
+ */
+function initializeTerrainFiles() {
+    document.getElementById('terrain-export').addEventListener('click', (event) => {
+        event.target.blur();
+        showTerrainStatus('Exporting…');
+        exportHeightmaps(chunkHeights, { squareSize: SQUARE_SIZE, heightOffset: TERRAIN_OFFSET, seed: WORLD_SEED }).then((blob) => {
+            downloadBlob(blob, `terrain-${WORLD_SEED}.zip`);
+            showTerrainStatus(`Exported ${Object.keys(chunkHeights).length} chunks`);
+        }).catch((error) => showTerrainStatus(`Could not export: ${error.message}`));
+    });
+    const file = document.getElementById('terrain-import');
+    file.addEventListener('change', () => {
+        if (file.files.length > 0) { importHeightmap(file.files[0]); }
+        file.value = '';
+    });
+}
+
+/**
+ * Loads a heightmap image, slices it into chunks around the world origin and
+ * flies over it, with generated terrain beyond its edges.
+ * @param {File} file - Grayscale image, white highest.
+ */
+function importHeightmap(file) {
+    const number = id => Number(document.getElementById(id).value);
+    showTerrainStatus(`Loading ${file.name}…`);
+    decodeHeightmapImage(file).then((image) => {
+        const chunks = sliceHeightmap(image, {
+            squareSize: SQUARE_SIZE,
+            samples: Math.pow(2, TERRAIN_DETAIL) + 1,
+            metersPerPixel: number('terrain-scale'),
+            minHeight: number('terrain-min'),
+            maxHeight: number('terrain-max'),
+            heightOffset: TERRAIN_OFFSET,
+            maxChunks: MAX_IMPORTED_CHUNKS,
+        });
+        const count = Object.keys(chunks).length;
+        if (count === 0) {
+            showTerrainStatus(`${file.name} doesn't cover a whole chunk (${SQUARE_SIZE} m) at that scale`);
+            return;
+        }
+        importTerrain(chunks);
+        showTerrainStatus(`Imported ${count} chunks from ${file.name}`);
+    }).catch((error) => showTerrainStatus(`Could not load ${file.name}: ${error.message}`));
+}
+
+/**
+ * Replaces the terrain of some chunks with imported heights and starts over
+ * on the home runway, levelled onto the new ground.
+ * @param {Object<string, Array>} chunks - Heightmap rows by chunk key.
+ */
+function importTerrain(chunks) {
+    importedChunks = chunks;
+    chunkRunways.clear();
+    for (const [key, rows] of Object.entries(chunks)) {
+        const [x, y] = key.split(',').map(Number);
+        const runway = getChunkRunway(x, y);
+        if (runway) {
+            flattenRunways(rows, {
+                runways: [runway],
+                originX: x * SQUARE_SIZE + SQUARE_SIZE / 2,
+                originZ: y * SQUARE_SIZE + SQUARE_SIZE / 2,
+                spacing: SQUARE_SIZE / (rows.length - 1),
+                heightOffset: TERRAIN_OFFSET,
+            });
+        }
+    }
+    importedTerrain = hashHeightmaps(chunks);
+    if (isOnline()) {
+        disconnectMultiplayer(); // the session's world is not this one any more
+        showMultiplayerStatus('Offline: the terrain changed, connect again to join a session over it');
+    }
+    spawnPoint = runwaySpawn(getChunkRunway(0, 0), aircraftParameters.gearHeight);
+    setTowerPosition(runwayTowerPosition(getChunkRunway(0, 0)));
+    reset();
+}
+
+/**
+ * Saves a file to the user's downloads. The download starts asynchronously,
+ * so its object URL is revoked a while later rather than straight away.
+ * @param {Blob} blob - File contents.
+ * @param {string} name - File name to save as.
+ */
+function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = name;
+    anchor.click();
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+}
+
+/**
+ * Shows the result of a heightmap export or import.
+ * @param {string} text - Status to show.
+ */
+function showTerrainStatus(text) {
+    document.getElementById('terrain-status').textContent = text;
+}
+
+/**
+ * Wires up the replay panel: replaying and saving the current flight, loading
+ * a saved one, and play/pause, scrubbing and speed while replaying.
+ */
+function initializeReplayControls() {
+    const speed = document.getElementById('replay-speed');
+    for (const value of REPLAY_SPEEDS) {
+        speed.add(new Option(`${value}x`, value, value === 1, value === 1));
+    }
+    speed.addEventListener('change', () => setReplaySpeed(Number(speed.value)));
+    document.getElementById('replay-start').addEventListener('click', () => toggleReplay());
+    document.getElementById('replay-exit').addEventListener('click', () => reset());
+    document.getElementById('replay-save').addEventListener('click', () => saveFlight());
+    document.getElementById('replay-play').addEventListener('click', () => setReplayPaused(!getReplay().paused));
+    document.getElementById('replay-scrub').addEventListener('input', (event) => seekReplay(Number(event.target.value)));
+    const file = document.getElementById('replay-file');
+    file.addEventListener('change', () => {
+        if (file.files.length > 0) { loadFlight(file.files[0]); }
+        file.value = '';
+    });
+}
+
+/**
+ * Starts the recording of a new flight.
+ */
+function startFlightRecording() {
+    startRecording({ seed: WORLD_SEED, weatherSeed: hashSeed(WORLD_SEED, 'weather'), aircraft: aircraftType && aircraftType.id });
+}
 
 /**
- * Checks the aircraft's position and generates new terrain chunks as needed.
+ * Replays the flight so far, or goes back to flying if already replaying.
+ */
+function toggleReplay() {
+    if (isReplaying()) {
+        reset();
+        return;
+    }
+    const recording = getRecording();
+    if (!recording || recording.samples.length < 2) {
+        showReplayMessage('Nothing recorded yet');
+        return;
+    }
+    beginReplay(recording);
+}
+
+/**
+ * Switches from flying to replaying a recording.
+ * @param {Object} recording - Recording from the same world.
+ */
+function beginReplay(recording) {
+    stopRecording();
+    hideResult();
+    clearInput();
+    startReplay(recording);
+    setWeather(recording.samples[0].weather, 0);
+    showWeather(recording.samples[0].weather);
+    showReplayControls();
+    showReplayMessage('');
+}
+
+/**
+ * Moves the aircraft, gear, clock and weather to the current moment of the
+ * replay.
+ * @param {number} delta - Seconds since the last frame.
+ * @returns {Object} The recorded controls, to animate the control surfaces.
+ */
+function updateReplayFrame(delta) {
+    const sample = updateReplay(delta);
+    flightState = sample.state;
+    AIRCRAFT.position.copy(flightState.position);
+    AIRCRAFT.quaternion.copy(flightState.quaternion);
+    setGearDown(aircraftRig, sample.gear.down, sample.gear.position);
+    setSimTime(sample.simTime);
+    if (sample.weather !== getWeather()) {
+        setWeather(sample.weather);
+        showWeather(sample.weather);
+    }
+    showReplayProgress();
+    return sample.controls;
+}
+
+/**
+ * Shows the replay player while replaying and the recorder otherwise.
+ */
+function showReplayControls() {
+    const replaying = isReplaying();
+    document.getElementById('replay-recorder').hidden = replaying;
+    document.getElementById('replay-player').hidden = !replaying;
+    if (replaying) {
+        const { start, end } = getReplay();
+        const scrub = document.getElementById('replay-scrub');
+        scrub.min = start;
+        scrub.max = end;
+        document.getElementById('replay-speed').value = getReplay().speed;
+        showReplayProgress();
+    }
+}
+
+/**
+ * Updates the replay's play button, scrubber and elapsed time.
+ */
+function showReplayProgress() {
+    const { start, end, time, paused } = getReplay();
+    const format = seconds => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    const text = `${format(time - start)} / ${format(end - start)}`;
+    const timeElement = document.getElementById('replay-time');
+    if (timeElement.textContent !== text) { timeElement.textContent = text; }
+    document.getElementById('replay-play').textContent = paused ? 'Play' : 'Pause';
+    const scrub = document.getElementById('replay-scrub');
+    if (document.activeElement !== scrub) { scrub.value = time; }
+}
+
+/**
+ * Shows a note under the replay controls, or clears it.
+ * @param {string} text - Message, or '' to clear.
+ * @param {string} [link] - Optional address the message links to.
+ */
+function showReplayMessage(text, link = '') {
+    const message = document.getElementById('replay-message');
+    message.replaceChildren();
+    if (link) {
+        const anchor = document.createElement('a');
+        anchor.href = link;
+        anchor.textContent = text;
+        message.appendChild(anchor);
+    } else {
+        message.textContent = text;
+    }
+}
+
+/**
+ * Downloads the flight being replayed, or the one being recorded, as JSON.
+ */
+function saveFlight() {
+    const recording = isReplaying() ? getReplay().recording : getRecording();
+    if (!recording || recording.samples.length === 0) {
+        showReplayMessage('Nothing recorded yet');
+        return;
+    }
+    const blob = new Blob([exportRecording(recording)], { type: 'application/json' });
+    downloadBlob(blob, `flight-${recording.seed}-${recording.created.slice(0, 19).replace(/:/g, '-')}.json`);
+}
+
+/**
+ * Loads a saved flight and replays it in the aircraft it was flown in.
+ * Flights from another world need the page reloaded with that world's seed
+ * first, since the terrain depends on it.
+ * @param {File} file - JSON file saved with saveFlight().
+ */
+function loadFlight(file) {
+    file.text().then((text) => {
+        const recording = parseRecording(text);
+        if (recording.seed !== WORLD_SEED) {
+            const params = new URLSearchParams(window.location.search);
+            params.set('seed', recording.seed);
+            showReplayMessage(`Recorded in world ${recording.seed}: open it, then load the flight again`, `?${params}`);
+            return null;
+        }
+        const recorded = recording.aircraft === null ? null : getAircraftType(recording.aircraft);
+        const type = recorded ?? aircraftType ?? getAircraftType(DEFAULT_AIRCRAFT_TYPE);
+        const switching = type !== aircraftType ? selectAircraft(type) : Promise.resolve();
+        return switching.then(() => {
+            beginReplay(recording);
+            if (recording.aircraft !== null && !recorded) {
+                showReplayMessage(`Recorded in an unknown aircraft (${recording.aircraft}), replaying in the ${type.name}`);
+            }
+        });
+    }).catch((error) => {
+        showReplayMessage(`Could not load ${file.name}: ${error.message}`);
+    });
+}
+
+/**
+ * Advances the flight model in fixed timesteps and moves the aircraft to match.
+ * @param {number} delta - Seconds since the last frame.
+ * @param {Object} controls - The pilot's inputs, from readInput().
+ */
+function updateFlight(delta, controls) {
+    if (simulationFrozen) {
+        return;
+    }
+    if (getTerrainHeight(flightState.position.x, flightState.position.z) === null) {
+        return; // Wait for the ground under the aircraft, e.g. the runway at the start
+    }
+    flightAccumulator = Math.min(flightAccumulator + delta, FIXED_TIMESTEP * MAX_STEPS_PER_FRAME);
+    while (flightAccumulator >= FIXED_TIMESTEP) {
+        const previous = flightState;
+        const surface = getSurface(previous.position.x, previous.position.z);
+        flightState = stepFlight(previous, controls, FIXED_TIMESTEP, {
+            groundHeight: surface.height,
+            wind: getWind(previous.position, windVector),
+            aircraft: aircraftParameters,
+            seaLevel: SEA_LEVEL,
+        });
+        flightAccumulator -= FIXED_TIMESTEP;
+        recordSample(flightState, controls, {
+            simTime: getSimTime(),
+            weather: getWeather(),
+            gear: { down: aircraftRig.gearDown, position: aircraftRig.gearPosition },
+        });
+
+        const contact = detectGroundContact(previous, flightState, { surface: surface.type, gear: aircraftRig.gearPosition });
+        const missionEvent = updateMission(previous, flightState, FIXED_TIMESTEP, { groundHeight: surface.height, contact });
+        if (missionEvent === 'objective') {
+            setMapWaypoints(missionWaypoints());
+        } else if (missionEvent && !(contact && contact.type === 'crash')) {
+            setMapWaypoints(missionWaypoints());
+            showMissionResult(getMissionProgress());
+        }
+        if (contact && contact.type === 'crash') {
+            simulationFrozen = true;
+            showResult(contact);
+            break;
+        } else if (contact && contact.type === 'landed' && !missionEvent) {
+            showResult(contact);
+        }
+    }
+    AIRCRAFT.position.copy(flightState.position);
+    AIRCRAFT.quaternion.copy(flightState.quaternion);
+}
+
+/**
+ * Finds the terrain height at a world position by bilinearly interpolating the heightmap.
+ * @param {number} x - World x position.
+ * @param {number} z - World z position.
+ * @returns {number|null} World height of the ground, or null if the chunk isn't generated.
+ */
+function getTerrainHeight(x, z) {
+    // Chunks are centered on (chunkX * SQUARE_SIZE, chunkY * SQUARE_SIZE) and
+    // flipped by the mesh rotation, so rows and columns run towards -z and -x.
+    const chunkX = Math.round(x / SQUARE_SIZE);
+    const chunkY = Math.round(z / SQUARE_SIZE);
+    const terrainData = chunkHeights[`${chunkX},${chunkY}`];
+    if (!terrainData) {
+        return null;
+    }
+    return sampleChunk(terrainData, chunkX, chunkY, x, z) + TERRAIN_OFFSET;
+}
+
+/**
+ * Bilinearly interpolates a chunk's heightmap at a world position inside it.
+ * @param {Array} terrainData heightmap rows of the chunk
+ * @param {number} chunkX integer chunk x position
+ * @param {number} chunkY integer chunk y position
+ * @param {number} x world x position
+ * @param {number} z world z position
+ * @returns {number} the heightmap value, without TERRAIN_OFFSET
+ */
+function sampleChunk(terrainData, chunkX, chunkY, x, z) {
+    const size = terrainData.length - 1;
+    const column = (chunkX * SQUARE_SIZE + SQUARE_SIZE / 2 - x) / SQUARE_SIZE * size;
+    const row = (chunkY * SQUARE_SIZE + SQUARE_SIZE / 2 - z) / SQUARE_SIZE * size;
+    return sampleBilinear(terrainData, row, column);
+}
+
+/**
+ * Shows the crash or landing overlay. A crash can only be dismissed by resetting.
+ * @param {{type: string, reason: string, sinkRate: number, bank: number}} contact - Contact event.
+ */
+function showResult(contact) {
+    document.getElementById('result-title').textContent = contact.type === 'crash' ? 'Crashed!' : 'Landed!';
+    document.getElementById('result-details').textContent = contact.type === 'crash'
+        ? `${contact.reason} (sink rate ${contact.sinkRate.toFixed(1)} m/s, bank ${contact.bank.toFixed(0)}°)`
+        : `Touched down at ${Math.max(0, contact.sinkRate).toFixed(1)} m/s sink rate`;
+    document.getElementById('result-continue').hidden = contact.type === 'crash';
+    document.getElementById('result').hidden = false;
+}
+
+/**
+ * Shows the overlay for a finished mission. The aircraft can fly on freely
+ * afterwards; resetting flies the mission again.
+ * @param {Object} progress - From getMissionProgress().
+ */
+function showMissionResult(progress) {
+    const { mission, elapsed, score, best, newBest } = progress;
+    document.getElementById('result-title').textContent = progress.status === 'complete'
+        ? 'Mission Complete!'
+        : 'Mission Failed';
+    document.getElementById('result-details').textContent = progress.status === 'complete'
+        ? `${mission.name} in ${elapsed.toFixed(1)} s: ${score} points` +
+            (newBest ? ' (new best)' : ` (best ${best.time.toFixed(1)} s, ${best.score} points)`)
+        : `${mission.name}: ${progress.reason}`;
+    document.getElementById('result-continue').hidden = false;
+    document.getElementById('result').hidden = false;
+}
+
+/**
+ * Hides the crash or landing overlay.
+ */
+function hideResult() {
+    document.getElementById('result').hidden = true;
+}
+
+/**
+ * Finds what the aircraft would touch at a world position: the ground, or the
+ * water if the ground there is below sea level.
+ * @param {number} x - World x position.
+ * @param {number} z - World z position.
+ * @returns {{height: number, type: string}} World height of the surface and
+ *          'ground' or 'water'; the height is -Infinity if the chunk isn't generated.
+ */
+function getSurface(x, z) {
+    const ground = getTerrainHeight(x, z);
+    if (ground === null) {
+        return { height: -Infinity, type: 'ground' };
+    }
+    return ground < SEA_LEVEL ? { height: SEA_LEVEL, type: 'water' } : { height: ground, type: 'ground' };
+}
+
+/**
+ * Height of whatever is at the surface at a world position: the ground, or
+ * the sea over ground below sea level. The same datum as getSurface().
+ * @param {number} x - World x position.
+ * @param {number} z - World z position.
+ * @returns {number|null} World height, or null if the chunk isn't generated.
+ */
+function getSurfaceHeight(x, z) {
+    const ground = getTerrainHeight(x, z);
+    return ground === null ? null : Math.max(ground, SEA_LEVEL);
+}
+
+/**
+ * Checks the aircraft's position and generates new terrain chunks or unloads
+ * distant ones when it crosses into a different chunk.
  */
 function checkTerrainUpdate() {
     const planePosition = AIRCRAFT.position;
-    const chunkX = Math.floor(planePosition.x / SQUARE_SIZE);
-    const chunkY = Math.floor(planePosition.z / SQUARE_SIZE);
+    const chunkX = Math.round(planePosition.x / SQUARE_SIZE);
+    const chunkY = Math.round(planePosition.z / SQUARE_SIZE);
+    if (currentChunk && currentChunk[0] === chunkX && currentChunk[1] === chunkY) {
+        return;
+    }
+    currentChunk = [chunkX, chunkY];
+    WATER.position.set(chunkX * SQUARE_SIZE, SEA_LEVEL, chunkY * SQUARE_SIZE);
     generateNeighboringChunks(chunkX, chunkY);
+    unloadDistantChunks(chunkX, chunkY);
+    nearbyRunways = findNearbyRunways(chunkX, chunkY);
 }
 
 
@@ -473,19 +1619,100 @@ function checkTerrainUpdate() {
  */
 function animate() {
     requestAnimationFrame(animate);
+    const delta = clock.getDelta();
+    updateInput();
     if (AIRCRAFT) {
+        let controls;
+        if (isReplaying()) {
+            controls = updateReplayFrame(delta);
+        } else {
+            controls = readInput();
+            updateFlight(delta, controls);
+        }
+        animateAircraft(aircraftRig, controls, flightState.throttle, delta);
+        showGear();
         checkTerrainUpdate();
+        const { x, z } = flightState.position;
+        const surface = getSurface(x, z);
+        const readings = computeReadings(flightState, Number.isFinite(surface.height) ? surface.height : null,
+            nearestRunway(nearbyRunways, flightState.position), getWind(flightState.position, windVector), SEA_LEVEL);
+        updateHud(readings);
+        updateMissionMarkers();
+        updateMissionHud(getMissionProgress());
+        if (!isReplaying()) { recordTrackPoint(flightState.position); }
+        updateMap({
+            chunkHeights,
+            runways: Array.from(chunkRunways.values()).filter(Boolean),
+            position: flightState.position,
+            heading: THREE.MathUtils.degToRad(readings.heading),
+        });
+        updateMultiplayer(delta, {
+            state: isReplaying() ? null : flightState,
+            controls,
+            gear: aircraftRig.gearPosition,
+            aircraft: aircraftType && aircraftType.id,
+        });
+        updateCamera(AIRCRAFT, delta);
+    } else {
+        CONTROLLER.update();
     }
-    updateSky();
-    CONTROLLER.update();
+    const daylight = updateSky(isReplaying() ? 0 : delta); // a replay sets the clock itself
+    updateWeather(delta, {
+        center: AIRCRAFT ? AIRCRAFT.position : CONTROLLER.target,
+        camera: CAMERA.position,
+        daylight,
+        sunLight: SKY.userData.sunLight,
+    });
+    updateShadows(SKY.userData.sunLight, SKY.userData.moonLight);
+    updateWater(WATER, delta, SKY.material.uniforms.sunPosition.value);
     RENDERER.castShadow = true;
     RENDERER.render(SCENE, CAMERA);
 }
 animate();
 
-// /**
-//  * Reset the scene back to default
-//  * */
-// function reset() {
-//
-// }
\ No newline at end of file
+/**
+ * Reset the simulation back to default: aircraft at the spawn point, the
+ * clock back to the starting time, the starting weather, freshly generated
+ * terrain, the selected mission started afresh and the camera at its default view.
+ * @param {Object} [spawn] - Spawn position, orientation, speed and throttle
+ *                           (see createFlightState()).
+ * @returns {void}
+ */
+export function reset(spawn = spawnPoint) {
+    // Aircraft
+    flightState = createFlightState(spawn);
+    flightAccumulator = 0;
+    simulationFrozen = false;
+    hideResult();
+    clock.getDelta();
+    clearInput();
+    stopReplay();
+    showReplayControls();
+    startFlightRecording();
+    if (AIRCRAFT) {
+        AIRCRAFT.position.copy(flightState.position);
+        AIRCRAFT.quaternion.copy(flightState.quaternion);
+        setGearDown(aircraftRig, true);
+    }
+
+    // Time of day
+    resetSimClock();
+
+    // Weather
+    setWeather(START_WEATHER, 0);
+    showWeather(START_WEATHER);
+
+    // Terrain
+    clearTerrain();
+
+    // Mission
+    restartMission();
+
+    // Camera
+    CAMERA.position.copy(DEFAULT_CAMERA_POSITION);
+    CAMERA.lookAt(DEFAULT_CAMERA_TARGET);
+    CONTROLLER.target.copy(DEFAULT_CAMERA_TARGET);
+    resetCamera(AIRCRAFT);
+
+    refreshHud();
+}
\ No newline at end of file
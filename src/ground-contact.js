@@ -0,0 +1,59 @@
+/**
+ * Decides what happened when the aircraft meets the ground or the water: a
+ * crash, a safe touchdown, or a completed landing once it has rolled to a
+ * stop. Works purely on flight states from the flight model.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Limits for a survivable touchdown.
+ */
+export const TOUCHDOWN_LIMITS = {
+    maxSinkRate: 3, // m/s
+    maxBank: 10, // degrees
+    maxNoseDown: 5, // degrees
+    maxGroundSpeed: 50, // m/s
+    stoppedSpeed: 1, // m/s, ground speed counted as having come to a stop
+};
+
+/**
+ * Compares two consecutive flight states and reports any ground contact event.
+ * @param {Object} previous - The flight state before the step.
+ * @param {Object} current - The flight state after the step.
+ * @param {Object} [options]
+ * @param {string} [options.surface] - What the aircraft is over, 'ground' or 'water'.
+ *                                     Touching water is always a crash.
+ * @param {number} [options.gear] - How far down the landing gear is, 0 (up)
+ *                                  to 1 (down). Touching down on anything less
+ *                                  is a belly landing.
+ * @param {Object} [options.limits] - Touchdown limits.
+ * @returns {{type: string, reason: string, sinkRate: number, bank: number, groundSpeed: number}|null}
+ *          A 'crash', 'touchdown' or 'landed' event, or null if nothing happened.
+ */
+export function detectGroundContact(previous, current, { surface = 'ground', gear = 1, limits = TOUCHDOWN_LIMITS } = {}) {
+    if (!current.onGround) { return null; }
+
+    const euler = new THREE.Euler().setFromQuaternion(previous.quaternion, 'YXZ');
+    const sinkRate = -previous.velocity.y;
+    const bank = Math.abs(THREE.MathUtils.radToDeg(euler.z));
+    const pitch = THREE.MathUtils.radToDeg(euler.x);
+    const groundSpeed = Math.hypot(current.velocity.x, current.velocity.z);
+    const event = (type, reason) => ({ type, reason, sinkRate, bank, groundSpeed });
+
+    if (surface === 'water') { return event('crash', 'Ditched in the water'); }
+    if (!previous.onGround) {
+        if (gear < 1) { return event('crash', gear === 0 ? 'Landed with the gear up' : 'Gear not locked down'); }
+        if (sinkRate > limits.maxSinkRate) { return event('crash', 'Descending too fast'); }
+        if (bank > limits.maxBank) { return event('crash', 'Wings not level'); }
+        if (pitch < -limits.maxNoseDown) { return event('crash', 'Nose down'); }
+        if (groundSpeed > limits.maxGroundSpeed) { return event('crash', 'Too fast'); }
+        return event('touchdown', 'Touchdown');
+    }
+
+    const previousSpeed = Math.hypot(previous.velocity.x, previous.velocity.z);
+    if (groundSpeed < limits.stoppedSpeed && previousSpeed >= limits.stoppedSpeed) {
+        return event('landed', 'Landed');
+    }
+    return null;
+}
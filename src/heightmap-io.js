@@ -0,0 +1,436 @@
+/**
+ * Heightmap files: saving generated chunks to disk and loading real or
+ * hand-made terrain back in. Exports are a ZIP of one 16-bit grayscale PNG and
+ * one raw little-endian Float32 tile per chunk, with a JSON manifest of the
+ * chunk coordinates and the height range of each PNG. Imports take one large
+ * heightmap image and slice it into chunk heightmaps.
+ *
+ * Tiles and images are laid out like a map: rows run north to south (-z to
+ * +z) and columns west to east (-x to +x). Chunk heightmaps run the other way
+ * in both directions (see getTerrainHeight() in flight-sim.js), so tiles are
+ * flipped on the way out and images sampled accordingly on the way in.
+ */
+
+import * as THREE from 'three';
+
+export const MANIFEST_VERSION = 1;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) { c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1; }
+    return c;
+});
+
+/**
+ * Packs chunk heightmaps into a ZIP of PNG and Float32 tiles with a manifest.
+ * @param {Object<string, Array<Float32Array>>} chunks - Heightmap rows by
+ *        "x,y" chunk key, as in chunkHeights.
+ * @param {Object} options
+ * @param {number} options.squareSize - Chunk size in meters.
+ * @param {number} options.heightOffset - World height of a heightmap value of 0.
+ * @param {number} options.seed - World seed, for the record.
+ * @returns {Promise<Blob>} The ZIP file.
+ */
+export function exportHeightmaps(chunks, { squareSize, heightOffset, seed }) {
+    const files = [];
+    const manifest = {
+        version: MANIFEST_VERSION,
+        seed,
+        squareSize,
+        samples: 0,
+        spacing: 0,
+        layout: 'rows north to south, columns west to east, heights in world meters',
+        chunks: [],
+    };
+    const encoding = [];
+    for (const [key, rows] of Object.entries(chunks)) {
+        const [x, y] = key.split(',').map(Number);
+        const size = rows.length;
+        const tile = new Float32Array(size * size);
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                tile[row * size + column] = rows[size - 1 - row][size - 1 - column] + heightOffset;
+            }
+        }
+        let min = Infinity, max = -Infinity;
+        tile.forEach((h) => { min = Math.min(min, h); max = Math.max(max, h); });
+
+        const name = `${x}_${y}`;
+        encoding.push(encodePng16(tile, size, size, min, max).then((png) => {
+            files.push({ name: `png/${name}.png`, data: png });
+        }));
+        files.push({ name: `raw/${name}.f32`, data: float32Bytes(tile) });
+        manifest.samples = size;
+        manifest.spacing = squareSize / (size - 1);
+        manifest.chunks.push({
+            x,
+            y,
+            // World bounds of the tile, west/north edge first
+            west: x * squareSize - squareSize / 2,
+            north: y * squareSize - squareSize / 2,
+            png: `png/${name}.png`,
+            raw: `raw/${name}.f32`,
+            // PNG value v is the height min + v / 65535 * (max - min)
+            min,
+            max,
+        });
+    }
+    return Promise.all(encoding).then(() => {
+        files.unshift({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+        return new Blob([createZip(files)], { type: 'application/zip' });
+    });
+}
+
+/**
+ * Reads a heightmap image. PNGs are decoded here so 16-bit grayscale keeps its
+ * precision; anything else goes through the browser's image decoder at 8 bits.
+ * Colored images use their red channel.
+ * @param {Blob} file - Image file.
+ * @returns {Promise<{width: number, height: number, data: Float32Array}>}
+ *          Values from 0 (black) to 1 (white), row by row from the top.
+ */
+export function decodeHeightmapImage(file) {
+    return file.arrayBuffer().then((buffer) => {
+        const bytes = new Uint8Array(buffer);
+        return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte) ? decodePng(bytes) : null;
+    }).then(image => image ?? createImageBitmap(file).then(decodeBitmap));
+}
+
+/**
+ * Reads the red channel of a decoded image.
+ * @param {ImageBitmap} bitmap - Decoded image.
+ * @returns {{width: number, height: number, data: Float32Array}} As for decodeHeightmapImage().
+ */
+function decodeBitmap(bitmap) {
+    const canvas = typeof OffscreenCanvas === 'function'
+        ? new OffscreenCanvas(bitmap.width, bitmap.height)
+        : Object.assign(document.createElement('canvas'), { width: bitmap.width, height: bitmap.height });
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    const pixels = ctx.getImageData(0, 0, bitmap.width, bitmap.height).data;
+    const data = new Float32Array(bitmap.width * bitmap.height);
+    for (let i = 0; i < data.length; i++) { data[i] = pixels[i * 4] / 255; }
+    return { width: bitmap.width, height: bitmap.height, data };
+}
+
+/**
+ * Slices a heightmap image into chunk heightmaps. The image is centered on
+ * the world origin and only chunks it covers completely are returned.
+ * @param {{width: number, height: number, data: Float32Array}} image - From decodeHeightmapImage().
+ * @param {Object} options
+ * @param {number} options.squareSize - Chunk size in meters.
+ * @param {number} options.samples - Heightmap samples per chunk side.
+ * @param {number} options.metersPerPixel - Ground distance between pixels.
+ * @param {number} options.minHeight - World height of black, meters.
+ * @param {number} options.maxHeight - World height of white, meters.
+ * @param {number} options.heightOffset - World height of a heightmap value of 0.
+ * @param {number} [options.maxChunks] - Most chunks to slice, to keep memory in check.
+ * @returns {Object<string, Array<Float32Array>>} Heightmap rows by "x,y" chunk key.
+ * @throws {Error} If the image would make more than maxChunks chunks.
+ */
+export function sliceHeightmap(image, { squareSize, samples, metersPerPixel, minHeight, maxHeight, heightOffset, maxChunks = Infinity }) {
+    const { width, height, data } = image;
+    const halfWidth = width * metersPerPixel / 2;
+    const halfHeight = height * metersPerPixel / 2;
+    const spacing = squareSize / (samples - 1);
+    const pixel = (column, row) => data[row * width + column];
+    const sample = (worldX, worldZ) => {
+        // Pixel centers sit half a pixel in from the image's edges
+        const px = THREE.MathUtils.clamp(worldX / metersPerPixel + width / 2 - 0.5, 0, width - 1);
+        const py = THREE.MathUtils.clamp(worldZ / metersPerPixel + height / 2 - 0.5, 0, height - 1);
+        const x0 = Math.floor(px), y0 = Math.floor(py);
+        const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+        const fx = px - x0, fy = py - y0;
+        const top = pixel(x0, y0) + (pixel(x1, y0) - pixel(x0, y0)) * fx;
+        const bottom = pixel(x0, y1) + (pixel(x1, y1) - pixel(x0, y1)) * fx;
+        return top + (bottom - top) * fy;
+    };
+
+    const chunks = {};
+    const firstX = Math.ceil((-halfWidth + squareSize / 2) / squareSize);
+    const lastX = Math.floor((halfWidth - squareSize / 2) / squareSize);
+    const firstY = Math.ceil((-halfHeight + squareSize / 2) / squareSize);
+    const lastY = Math.floor((halfHeight - squareSize / 2) / squareSize);
+    const count = Math.max(0, lastX - firstX + 1) * Math.max(0, lastY - firstY + 1);
+    if (count > maxChunks) {
+        throw new Error(`it covers ${count} chunks at that scale, more than ${maxChunks}`);
+    }
+    for (let x = firstX; x <= lastX; x++) {
+        for (let y = firstY; y <= lastY; y++) {
+            const rows = new Array(samples);
+            for (let i = 0; i < samples; i++) {
+                rows[i] = new Float32Array(samples);
+                for (let j = 0; j < samples; j++) {
+                    const value = sample(x * squareSize + squareSize / 2 - j * spacing, y * squareSize + squareSize / 2 - i * spacing);
+                    rows[i][j] = minHeight + value * (maxHeight - minHeight) - heightOffset;
+                }
+            }
+            chunks[`${x},${y}`] = rows;
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Fingerprints chunk heightmaps, so two copies of the same imported terrain
+ * can be recognized as the same world (FNV-1a over the chunk keys and the
+ * bits of every height).
+ * @param {Object<string, Array<Float32Array>>} chunks - Heightmap rows by "x,y" chunk key.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+export function hashHeightmaps(chunks) {
+    let hash = 0x811C9DC5;
+    for (const key of Object.keys(chunks).sort()) {
+        for (let i = 0; i < key.length; i++) { hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193); }
+        for (const row of chunks[key]) {
+            for (const bits of new Uint32Array(row.buffer, row.byteOffset, row.length)) {
+                hash = Math.imul(hash ^ bits, 0x01000193);
+            }
+        }
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Encodes heights as a 16-bit grayscale PNG, scaled so min is black and max white.
+ * @param {Float32Array} values - Heights row by row.
+ * @param {number} width - Pixels per row.
+ * @param {number} height - Rows.
+ * @param {number} min - Height drawn black.
+ * @param {number} max - Height drawn white.
+ * @returns {Promise<Uint8Array>}
+ */
+function encodePng16(values, width, height, min, max) {
+    const range = max - min || 1;
+    const stride = width * 2 + 1; // a filter type byte, then two bytes per pixel
+    const raw = new Uint8Array(stride * height);
+    const view = new DataView(raw.buffer);
+    for (let row = 0; row < height; row++) {
+        for (let column = 0; column < width; column++) {
+            const level = Math.round((values[row * width + column] - min) / range * 65535);
+            view.setUint16(row * stride + 1 + column * 2, level); // big-endian
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header.set([16, 0, 0, 0, 0], 8); // bit depth, grayscale, deflate, no filter, not interlaced
+    return transform(raw, new CompressionStream('deflate')).then(compressed => concatBytes([
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', compressed),
+        pngChunk('IEND', new Uint8Array(0)),
+    ]));
+}
+
+/**
+ * Decodes a non-interlaced 8 or 16-bit PNG to its first channel.
+ * @param {Uint8Array} bytes - PNG file.
+ * @returns {Promise<{width: number, height: number, data: Float32Array}|null>}
+ *          The image, or null for PNGs this doesn't handle (palettes, fewer
+ *          than 8 bits, interlacing).
+ */
+function decodePng(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let header = null;
+    const compressed = [];
+    for (let offset = PNG_SIGNATURE.length; offset + 8 <= bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(offset + 8),
+                height: view.getUint32(offset + 12),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12],
+            };
+        } else if (type === 'IDAT') {
+            compressed.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += length + 12;
+    }
+    const channels = header && { 0: 1, 2: 3, 4: 2, 6: 4 }[header.colorType];
+    if (!channels || header.interlace !== 0 || (header.bitDepth !== 8 && header.bitDepth !== 16)) {
+        return Promise.resolve(null);
+    }
+
+    const { width, height, bitDepth } = header;
+    const pixelBytes = channels * bitDepth / 8;
+    const stride = width * pixelBytes;
+    return transform(concatBytes(compressed), new DecompressionStream('deflate')).then((raw) => {
+        const data = new Float32Array(width * height);
+        let previous = new Uint8Array(stride);
+        for (let row = 0; row < height; row++) {
+            const start = row * (stride + 1);
+            const line = unfilter(raw[start], raw.subarray(start + 1, start + 1 + stride), previous, pixelBytes);
+            for (let column = 0; column < width; column++) {
+                const index = column * pixelBytes;
+                data[row * width + column] = bitDepth === 16
+                    ? (line[index] << 8 | line[index + 1]) / 65535
+                    : line[index] / 255;
+            }
+            previous = line;
+        }
+        return { width, height, data };
+    });
+}
+
+/**
+ * Undoes a PNG row filter.
+ * @param {number} filter - Filter type, 0 to 4.
+ * @param {Uint8Array} line - Filtered row.
+ * @param {Uint8Array} previous - The row above, unfiltered.
+ * @param {number} pixelBytes - Bytes per pixel.
+ * @returns {Uint8Array} The unfiltered row.
+ */
+function unfilter(filter, line, previous, pixelBytes) {
+    const out = new Uint8Array(line.length);
+    for (let i = 0; i < line.length; i++) {
+        const left = i >= pixelBytes ? out[i - pixelBytes] : 0;
+        const up = previous[i];
+        const upLeft = i >= pixelBytes ? previous[i - pixelBytes] : 0;
+        let predictor = 0;
+        if (filter === 1) {
+            predictor = left;
+        } else if (filter === 2) {
+            predictor = up;
+        } else if (filter === 3) {
+            predictor = (left + up) >> 1;
+        } else if (filter === 4) {
+            const p = left + up - upLeft;
+            const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+            predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        }
+        out[i] = line[i] + predictor;
+    }
+    return out;
+}
+
+/**
+ * Builds a PNG chunk: length, type, data and CRC.
+ * @param {string} type - Four letter chunk type.
+ * @param {Uint8Array} data - Chunk data.
+ * @returns {Uint8Array}
+ */
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(Array.from(type, c => c.charCodeAt(0)), 4);
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+    return chunk;
+}
+
+/**
+ * Builds a ZIP archive with the files stored uncompressed; the PNGs are
+ * compressed already.
+ * @param {Array<{name: string, data: Uint8Array}>} files - Files to store.
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+    const now = new Date();
+    const time = now.getHours() << 11 | now.getMinutes() << 5 | now.getSeconds() >> 1;
+    const date = (now.getFullYear() - 1980) << 9 | (now.getMonth() + 1) << 5 | now.getDate();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    for (const { name, data } of files) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(data);
+        const entry = (signature, size) => {
+            const header = new DataView(new ArrayBuffer(size));
+            header.setUint32(0, signature, true);
+            return header;
+        };
+
+        const local = entry(0x04034b50, 30);
+        local.setUint16(4, 20, true); // version needed, 2.0
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = entry(0x02014b50, 46);
+        central.setUint16(4, 20, true); // made by
+        central.setUint16(6, 20, true); // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        directory.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+    const directorySize = directory.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    return concatBytes([...parts, ...directory, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * CRC-32 as used by PNG and ZIP.
+ * @param {Uint8Array} bytes - Data to check.
+ * @returns {number} Unsigned 32-bit CRC.
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) { crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8); }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * The bytes of a Float32Array, little-endian whatever the platform.
+ * @param {Float32Array} values - Values to store.
+ * @returns {Uint8Array}
+ */
+function float32Bytes(values) {
+    const view = new DataView(new ArrayBuffer(values.length * 4));
+    values.forEach((value, i) => view.setFloat32(i * 4, value, true));
+    return new Uint8Array(view.buffer);
+}
+
+/**
+ * Runs bytes through a compression or decompression stream.
+ * @param {Uint8Array} bytes - Input.
+ * @param {CompressionStream|DecompressionStream} stream - Transform to apply.
+ * @returns {Promise<Uint8Array>}
+ */
+function transform(bytes, stream) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+        .then(buffer => new Uint8Array(buffer));
+}
+
+/**
+ * Joins byte arrays.
+ * @param {Array<Uint8Array>} arrays - Arrays to join.
+ * @returns {Uint8Array}
+ */
+function concatBytes(arrays) {
+    const joined = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        joined.set(array, offset);
+        offset += array.length;
+    }
+    return joined;
+}
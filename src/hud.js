@@ -0,0 +1,235 @@
+/**
+ * Heads-up display for the flight simulator. Writes the flight readouts into
+ * the #info panel and draws an artificial horizon and compass tape onto
+ * canvases. Text readouts are throttled so the DOM is only touched a few times
+ * a second; the instruments are redrawn every frame.
+ */
+
+import * as THREE from 'three';
+
+const TEXT_UPDATE_INTERVAL = 100; // milliseconds
+const HORIZON_PIXELS_PER_DEGREE = 2;
+const COMPASS_PIXELS_PER_DEGREE = 3;
+const SKY_COLOR = '#3a7bd5';
+const GROUND_COLOR = '#8b5a2b';
+const MARKING_COLOR = '#ffffff';
+
+const elements = {};
+let lastTextUpdate = -Infinity;
+
+/**
+ * Looks up the HUD elements in the page.
+ * @returns {void}
+ */
+export function initializeHud() {
+    for (const id of ['speed', 'altitude', 'ground', 'heading', 'vertical-speed', 'throttle', 'runway', 'wind', 'stall', 'horizon', 'compass',
+        'mission-progress', 'mission-objective', 'mission-time', 'mission-best', 'mission-status']) {
+        elements[id] = document.getElementById(id);
+    }
+}
+
+/**
+ * Derives the HUD readings from a flight state.
+ * @param {Object} flightState - State from the flight model.
+ * @param {number|null} groundHeight - Terrain height below the aircraft, or null if unknown.
+ * @param {{runway: Object, distance: number, bearing: number}|null} [runway] - Nearest
+ *        runway from nearestRunway(), or null if there is none nearby.
+ * @param {THREE.Vector3|null} [wind] - Wind velocity at the aircraft, or null if unknown.
+ * @param {number} [seaLevel] - World height of sea level, which altitude is measured from.
+ * @returns {Object} Readings in display units (km/h, meters, km, degrees, m/s, percent).
+ */
+export function computeReadings(flightState, groundHeight, runway = null, wind = null, seaLevel = 0) {
+    const euler = new THREE.Euler().setFromQuaternion(flightState.quaternion, 'YXZ');
+    return {
+        speed: flightState.velocity.length() * 3.6,
+        altitude: flightState.position.y - seaLevel,
+        groundAltitude: groundHeight === null ? null : flightState.position.y - groundHeight,
+        heading: THREE.MathUtils.euclideanModulo(-THREE.MathUtils.radToDeg(euler.y), 360),
+        pitch: THREE.MathUtils.radToDeg(euler.x),
+        bank: THREE.MathUtils.radToDeg(euler.z),
+        verticalSpeed: flightState.velocity.y,
+        throttle: flightState.throttle * 100,
+        stalled: flightState.stalled,
+        // Wind is reported by the direction it blows from
+        wind: wind && {
+            direction: THREE.MathUtils.euclideanModulo(THREE.MathUtils.radToDeg(Math.atan2(-wind.x, wind.z)), 360),
+            speed: Math.hypot(wind.x, wind.z) * 3.6,
+        },
+        runway: runway && { name: runway.runway.name, distance: runway.distance / 1000, bearing: runway.bearing },
+    };
+}
+
+/**
+ * Updates the HUD with the latest readings.
+ * @param {Object} readings - Readings from computeReadings().
+ * @param {number} [now] - Current time in milliseconds.
+ * @returns {void}
+ */
+export function updateHud(readings, now = performance.now()) {
+    drawHorizon(elements.horizon, readings.pitch, readings.bank);
+    drawCompass(elements.compass, readings.heading);
+
+    if (now - lastTextUpdate < TEXT_UPDATE_INTERVAL) { return; }
+    lastTextUpdate = now;
+    setText('speed', readings.speed.toFixed(0));
+    setText('altitude', readings.altitude.toFixed(0));
+    setText('ground', readings.groundAltitude === null ? '--' : readings.groundAltitude.toFixed(0));
+    setText('heading', Math.round(readings.heading) % 360);
+    setText('vertical-speed', readings.verticalSpeed.toFixed(1));
+    setText('throttle', readings.throttle.toFixed(0));
+    setText('wind', readings.wind
+        ? `${Math.round(readings.wind.direction) % 360}° at ${readings.wind.speed.toFixed(0)} km/h`
+        : '--');
+    setText('runway', readings.runway
+        ? `${readings.runway.name}, ${readings.runway.distance.toFixed(1)} km at ${Math.round(readings.runway.bearing) % 360}°`
+        : '--');
+    if (elements.stall) { elements.stall.hidden = !readings.stalled; }
+}
+
+/**
+ * Shows the progress of a mission in the #mission panel, or hides the
+ * progress readouts when flying freely.
+ * @param {Object|null} progress - From getMissionProgress().
+ * @returns {void}
+ */
+export function updateMissionHud(progress) {
+    if (elements['mission-progress']) { elements['mission-progress'].hidden = !progress; }
+    if (!progress) { return; }
+    const { mission, objectives, index, elapsed, status, best } = progress;
+    const objective = objectives[Math.min(index, objectives.length - 1)];
+    const labels = { ring: 'Fly through the ring', waypoint: 'Fly over the waypoint', land: 'Land on the runway' };
+    let goal = labels[objective.type];
+    if (objective.type === 'waypoint' && Number.isFinite(objective.minHeight)) { goal += ` above ${objective.minHeight} m`; }
+    if (objective.type === 'waypoint' && Number.isFinite(objective.maxHeight)) { goal += ` below ${objective.maxHeight} m`; }
+
+    setText('mission-objective', status === 'active' ? `${index + 1}/${objectives.length}: ${goal}` : `${index}/${objectives.length}`);
+    setText('mission-time', mission.timeLimit
+        ? `${formatDuration(elapsed)} / ${formatDuration(mission.timeLimit)}`
+        : formatDuration(elapsed));
+    setText('mission-best', best ? `${formatDuration(best.time)}, ${best.score} points` : '--');
+    setText('mission-status', {
+        active: mission.maxHeight ? `Stay below ${mission.maxHeight} m` : '',
+        complete: `Complete! ${progress.score} points${progress.newBest ? ', new best' : ''}`,
+        failed: `Failed: ${progress.reason}`,
+    }[status]);
+}
+
+/**
+ * Resets the text throttle so the next update writes immediately.
+ * @returns {void}
+ */
+export function refreshHud() {
+    lastTextUpdate = -Infinity;
+}
+
+/**
+ * Sets the text of a HUD element if it exists and the value changed.
+ * @param {string} id - Element id.
+ * @param {*} value - Value to display.
+ */
+function setText(id, value) {
+    const element = elements[id];
+    const text = String(value);
+    if (element && element.textContent !== text) { element.textContent = text; }
+}
+
+/**
+ * Formats a duration as minutes and seconds.
+ * @param {number} seconds - Duration in seconds.
+ * @returns {string} e.g. "4:05".
+ */
+function formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+/**
+ * Draws an artificial horizon: a sky/ground disc rotated by bank and shifted
+ * by pitch, with a pitch ladder and a fixed aircraft symbol.
+ * @param {HTMLCanvasElement} canvas - Target canvas.
+ * @param {number} pitch - Pitch in degrees, positive nose up.
+ * @param {number} bank - Bank in degrees, positive left wing down.
+ */
+function drawHorizon(canvas, pitch, bank) {
+    if (!canvas) { return; }
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const radius = Math.hypot(width, height);
+    const offset = pitch * HORIZON_PIXELS_PER_DEGREE;
+
+    ctx.save();
+    ctx.clearRect(0, 0, width, height);
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(THREE.MathUtils.degToRad(bank));
+    ctx.fillStyle = SKY_COLOR;
+    ctx.fillRect(-radius, -radius + offset, radius * 2, radius);
+    ctx.fillStyle = GROUND_COLOR;
+    ctx.fillRect(-radius, offset, radius * 2, radius);
+
+    // Pitch ladder every 10 degrees
+    ctx.strokeStyle = MARKING_COLOR;
+    ctx.fillStyle = MARKING_COLOR;
+    ctx.lineWidth = 1;
+    ctx.font = '9px Arial';
+    ctx.textBaseline = 'middle';
+    for (let degrees = -90; degrees <= 90; degrees += 10) {
+        const y = offset - degrees * HORIZON_PIXELS_PER_DEGREE;
+        const half = degrees === 0 ? radius : 20;
+        ctx.beginPath();
+        ctx.moveTo(-half, y);
+        ctx.lineTo(half, y);
+        ctx.stroke();
+        if (degrees !== 0) { ctx.fillText(String(Math.abs(degrees)), half + 3, y); }
+    }
+    ctx.restore();
+
+    // Fixed aircraft symbol
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(width / 2 - 30, height / 2);
+    ctx.lineTo(width / 2 - 10, height / 2);
+    ctx.lineTo(width / 2, height / 2 + 6);
+    ctx.lineTo(width / 2 + 10, height / 2);
+    ctx.lineTo(width / 2 + 30, height / 2);
+    ctx.stroke();
+}
+
+/**
+ * Draws a horizontal compass tape centered on the current heading.
+ * @param {HTMLCanvasElement} canvas - Target canvas.
+ * @param {number} heading - Heading in degrees, 0 is north (-Z).
+ */
+function drawCompass(canvas, heading) {
+    if (!canvas) { return; }
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const span = width / COMPASS_PIXELS_PER_DEGREE / 2;
+    const labels = { 0: 'N', 90: 'E', 180: 'S', 270: 'W' };
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.strokeStyle = MARKING_COLOR;
+    ctx.fillStyle = MARKING_COLOR;
+    ctx.lineWidth = 1;
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const first = Math.ceil((heading - span) / 5) * 5;
+    for (let degrees = first; degrees <= heading + span; degrees += 5) {
+        const x = width / 2 + (degrees - heading) * COMPASS_PIXELS_PER_DEGREE;
+        const major = degrees % 10 === 0;
+        ctx.beginPath();
+        ctx.moveTo(x, height);
+        ctx.lineTo(x, height - (major ? 10 : 5));
+        ctx.stroke();
+        const wrapped = THREE.MathUtils.euclideanModulo(degrees, 360);
+        if (wrapped % 30 === 0) { ctx.fillText(labels[wrapped] || String(wrapped / 10), x, 2); }
+    }
+
+    // Lubber line
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(width / 2, 0);
+    ctx.lineTo(width / 2, height);
+    ctx.stroke();
+}
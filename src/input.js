@@ -0,0 +1,493 @@
+/**
+ * Input for the flight simulator. Keyboard keys, gamepad axes and buttons and
+ * on-screen touch sticks all feed the same normalized flight axes (pitch,
+ * roll, yaw, throttle and brake) and one-shot commands (reset, camera, ...).
+ * Analog inputs get a dead zone and a sensitivity curve. Bindings can be
+ * remapped from the #controls panel, which is generated from the binding
+ * table, and are saved to localStorage.
+ */
+
+const STORAGE_KEY = 'flight-sim.bindings';
+
+/**
+ * Default bindings. Axes have keys that push them positive and negative,
+ * a gamepad axis (standard mapping) or a gamepad button for either
+ * direction, and a touch stick axis. Commands have keys and a gamepad button.
+ */
+export const DEFAULT_BINDINGS = {
+    axes: {
+        pitch: { label: 'Pitch', positive: ['KeyS'], negative: ['KeyW'], gamepad: { axis: 1 }, touch: 'right-y', sensitivity: 1 },
+        roll: { label: 'Roll', positive: ['KeyD'], negative: ['KeyA'], gamepad: { axis: 0 }, touch: 'right-x', sensitivity: 1 },
+        yaw: { label: 'Yaw', positive: ['KeyE'], negative: ['KeyQ'], gamepad: { axis: 2 }, touch: 'left-x', sensitivity: 1 },
+        throttle: {
+            label: 'Throttle', positive: ['ShiftLeft', 'ShiftRight'], negative: ['ControlLeft', 'ControlRight'],
+            gamepad: { axis: 3, invert: true }, touch: 'left-y-inverted', sensitivity: 1,
+        },
+        brake: { label: 'Brake', positive: ['Space'], negative: [], gamepad: { positive: { button: 7 } }, touch: 'brake', sensitivity: 1 },
+    },
+    commands: {
+        camera: { label: 'Camera', keys: ['KeyC'], gamepad: { button: 3 } },
+        weather: { label: 'Weather', keys: ['KeyV'], gamepad: { button: 2 } },
+        timeScale: { label: 'Time Scale', keys: ['KeyT'] },
+        gear: { label: 'Gear', keys: ['KeyG'], gamepad: { button: 1 } },
+        map: { label: 'Map', keys: ['KeyM'], gamepad: { button: 8 } },
+        replay: { label: 'Replay', keys: ['KeyP'] },
+        reset: { label: 'Reset', keys: ['KeyR'], gamepad: { button: 9 } },
+    },
+};
+
+/**
+ * Dead zone and response curve per analog device. Past the dead zone the
+ * input is rescaled to 0..1 and raised to the exponent, which gives finer
+ * control around the center.
+ */
+const ANALOG = {
+    gamepad: { deadZone: 0.15, exponent: 1.6 },
+    touch: { deadZone: 0.1, exponent: 1.4 },
+};
+// Checks for the fields of saved bindings; the rest (labels, touch sticks) always come from the defaults
+const BINDING_FIELDS = {
+    axes: {
+        positive: isKeyList,
+        negative: isKeyList,
+        gamepad: isAxisGamepad,
+        sensitivity: value => Number.isFinite(value) && value > 0,
+    },
+    commands: {
+        keys: isKeyList,
+        gamepad: isButton,
+    },
+};
+const GAMEPAD_CAPTURE_THRESHOLD = 0.6; // how far an axis must move to be bound to an action
+const KEY_LABELS = {
+    ShiftLeft: 'Shift', ShiftRight: 'Right Shift', ControlLeft: 'Ctrl', ControlRight: 'Right Ctrl',
+    AltLeft: 'Alt', AltRight: 'Right Alt', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+};
+
+let bindings = loadBindings();
+let onCommand = () => {};
+let listening = null; // { type: 'axes' | 'commands', action, slot } while waiting for a new binding
+const keysDown = new Set();
+const touch = { left: { x: 0, y: 0 }, right: { x: 0, y: 0 }, brake: 0 };
+let gamepadButtons = [];
+let gamepadAxes = [];
+
+/**
+ * Starts listening to the keyboard, gamepads and touch and builds the
+ * controls panel.
+ * @param {Object} options
+ * @param {function(string): void} options.onCommand - Called with a command's
+ *        name, a key of DEFAULT_BINDINGS.commands, when it is triggered.
+ * @returns {void}
+ */
+export function initializeInput({ onCommand: commandHandler }) {
+    onCommand = commandHandler;
+    window.addEventListener('keydown', (event) => {
+        if (listening) {
+            event.preventDefault();
+            if (event.code !== 'Escape') { bindKey(event.code); }
+            stopListening();
+            return;
+        }
+        if (isTextField(event.target)) { return; } // typing, e.g. a name, not flying
+        if (isBound(event.code)) { event.preventDefault(); }
+        keysDown.add(event.code);
+        if (event.repeat) { return; }
+        for (const [name, command] of Object.entries(bindings.commands)) {
+            if (command.keys.includes(event.code)) { onCommand(name); }
+        }
+    });
+    window.addEventListener('keyup', (event) => keysDown.delete(event.code));
+    window.addEventListener('blur', () => keysDown.clear());
+    initializeTouch();
+    renderControlsPanel();
+}
+
+/**
+ * Polls the gamepad. Call once per frame, even while the simulation is
+ * paused, so gamepad commands and rebinding keep working.
+ * @returns {void}
+ */
+export function updateInput() {
+    const gamepad = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).find(pad => pad && pad.connected);
+    const axes = gamepad ? Array.from(gamepad.axes) : [];
+    const buttons = gamepad ? gamepad.buttons.map(button => button.value) : [];
+
+    if (listening && gamepad) {
+        captureGamepad(axes, buttons);
+    } else {
+        for (const [name, command] of Object.entries(bindings.commands)) {
+            const button = command.gamepad?.button;
+            if (Number.isInteger(button) && buttons[button] > 0.5 && !(gamepadButtons[button] > 0.5)) {
+                onCommand(name);
+            }
+        }
+    }
+    gamepadAxes = axes;
+    gamepadButtons = buttons;
+}
+
+/**
+ * Reads the flight controls from every device. For each axis the input
+ * pushed furthest wins.
+ * @returns {{pitch: number, roll: number, yaw: number, throttle: number, brake: number}}
+ */
+export function readInput() {
+    const controls = {};
+    for (const [name, axis] of Object.entries(bindings.axes)) {
+        const keyboard = (axis.positive.some(code => keysDown.has(code)) ? 1 : 0) -
+            (axis.negative.some(code => keysDown.has(code)) ? 1 : 0);
+        const candidates = [keyboard, gamepadValue(axis.gamepad), touchValue(axis.touch)];
+        const value = candidates.reduce((best, v) => (Math.abs(v) > Math.abs(best) ? v : best), 0) * axis.sensitivity;
+        controls[name] = name === 'brake' ? clamp(value, 0, 1) : clamp(value, -1, 1);
+    }
+    return controls;
+}
+
+/**
+ * Forgets held keys and touches, e.g. on reset.
+ * @returns {void}
+ */
+export function clearInput() {
+    keysDown.clear();
+    touch.left.x = touch.left.y = touch.right.x = touch.right.y = touch.brake = 0;
+}
+
+/**
+ * Puts every binding back to its default and forgets the saved ones.
+ * @returns {void}
+ */
+export function resetBindings() {
+    bindings = structuredClone(DEFAULT_BINDINGS);
+    localStorage.removeItem(STORAGE_KEY);
+    renderControlsPanel();
+}
+
+/**
+ * Loads the saved bindings over the defaults, so actions added since they
+ * were saved still get their default bindings. Saved fields that aren't
+ * shaped like a binding, from an older version or edited by hand, keep
+ * their defaults too.
+ * @returns {Object} Bindings shaped like DEFAULT_BINDINGS.
+ */
+function loadBindings() {
+    const result = structuredClone(DEFAULT_BINDINGS);
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        for (const type of ['axes', 'commands']) {
+            for (const [name, binding] of Object.entries(saved[type] || {})) {
+                if (!result[type][name] || !binding || typeof binding !== 'object') { continue; }
+                for (let [field, value] of Object.entries(binding)) {
+                    // Axes used to take a single gamepad button, which pushed them positive
+                    if (type === 'axes' && field === 'gamepad' && isButton(value)) { value = { positive: value }; }
+                    if (BINDING_FIELDS[type][field]?.(value)) { result[type][name][field] = value; }
+                }
+            }
+        }
+    } catch {
+        // Unreadable saved bindings; keep the defaults
+    }
+    return result;
+}
+
+/**
+ * Whether a value is a list of key codes.
+ * @param {*} value - Saved value.
+ * @returns {boolean}
+ */
+function isKeyList(value) {
+    return Array.isArray(value) && value.every(code => typeof code === 'string');
+}
+
+/**
+ * Whether a value is a gamepad button binding, {button}.
+ * @param {*} value - Saved value.
+ * @returns {boolean}
+ */
+function isButton(value) {
+    return Boolean(value) && Number.isInteger(value.button) && value.button >= 0 && !('axis' in value);
+}
+
+/**
+ * Whether a value is an axis's gamepad binding: an axis, or a button for
+ * either direction.
+ * @param {*} value - Saved value.
+ * @returns {boolean}
+ */
+function isAxisGamepad(value) {
+    if (!value || typeof value !== 'object') { return false; }
+    if ('axis' in value) {
+        return Number.isInteger(value.axis) && value.axis >= 0 && (!('invert' in value) || typeof value.invert === 'boolean');
+    }
+    return Boolean(value.positive || value.negative) && [value.positive, value.negative].every(slot => slot == null || isButton(slot));
+}
+
+/**
+ * Saves the bindings to localStorage.
+ * @returns {void}
+ */
+function saveBindings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch {
+        // Storage is full or disabled; the bindings last until the page closes
+    }
+}
+
+/**
+ * Whether a key is bound to anything, so its default browser action can be
+ * suppressed (Space would otherwise press the focused button).
+ * @param {string} code - KeyboardEvent.code.
+ * @returns {boolean}
+ */
+function isBound(code) {
+    return Object.values(bindings.axes).some(axis => axis.positive.includes(code) || axis.negative.includes(code)) ||
+        Object.values(bindings.commands).some(command => command.keys.includes(code));
+}
+
+/**
+ * Binds a key to the slot being listened for and unbinds it everywhere else.
+ * @param {string} code - KeyboardEvent.code.
+ * @returns {void}
+ */
+function bindKey(code) {
+    for (const axis of Object.values(bindings.axes)) {
+        axis.positive = axis.positive.filter(key => key !== code);
+        axis.negative = axis.negative.filter(key => key !== code);
+    }
+    for (const command of Object.values(bindings.commands)) {
+        command.keys = command.keys.filter(key => key !== code);
+    }
+    const { type, action, slot } = listening;
+    bindings[type][action][slot] = [code];
+    saveBindings();
+}
+
+/**
+ * Binds the first gamepad axis or button that moves to the action being
+ * listened for. Moving an axis the opposite way to the slot inverts it. A
+ * button bound to an axis pushes it in the slot's direction, alongside any
+ * button bound to the other direction.
+ * @param {Array<number>} axes - Current gamepad axes.
+ * @param {Array<number>} buttons - Current gamepad button values.
+ * @returns {void}
+ */
+function captureGamepad(axes, buttons) {
+    const { type, action, slot } = listening;
+    const axisIndex = type === 'axes' ? axes.findIndex((v, i) =>
+        Math.abs(v) > GAMEPAD_CAPTURE_THRESHOLD && Math.abs(gamepadAxes[i] ?? 0) <= GAMEPAD_CAPTURE_THRESHOLD) : -1;
+    const buttonIndex = buttons.findIndex((v, i) => v > 0.5 && !(gamepadButtons[i] > 0.5));
+    if (axisIndex >= 0) {
+        const pushedPositive = axes[axisIndex] > 0;
+        bindings[type][action].gamepad = { axis: axisIndex, invert: pushedPositive !== (slot === 'positive') };
+    } else if (buttonIndex >= 0 && type === 'axes') {
+        const current = bindings[type][action].gamepad;
+        const other = slot === 'positive' ? 'negative' : 'positive';
+        bindings[type][action].gamepad = { [slot]: { button: buttonIndex } };
+        if (current && current[other]) { bindings[type][action].gamepad[other] = current[other]; }
+    } else if (buttonIndex >= 0) {
+        bindings[type][action].gamepad = { button: buttonIndex };
+    } else {
+        return;
+    }
+    saveBindings();
+    stopListening();
+}
+
+/**
+ * Value of an axis from the gamepad.
+ * @param {{axis: number, invert: boolean}|{positive: {button: number}, negative: {button: number}}|undefined} binding -
+ *        Gamepad binding: an axis, or buttons for either direction.
+ * @returns {number}
+ */
+function gamepadValue(binding) {
+    if (!binding) { return 0; }
+    if (!Number.isInteger(binding.axis)) {
+        const pressed = slot => (slot ? gamepadButtons[slot.button] ?? 0 : 0);
+        return pressed(binding.positive) - pressed(binding.negative);
+    }
+    const value = shape(gamepadAxes[binding.axis] ?? 0, ANALOG.gamepad);
+    return binding.invert ? -value : value;
+}
+
+/**
+ * Value of an axis from the touch sticks.
+ * @param {string|undefined} binding - 'left-x', 'right-y', 'left-y-inverted',
+ *        'brake' and so on.
+ * @returns {number}
+ */
+function touchValue(binding) {
+    if (!binding) { return 0; }
+    if (binding === 'brake') { return touch.brake; }
+    const [stick, axis, inverted] = binding.split('-');
+    const value = shape(touch[stick][axis], ANALOG.touch);
+    return inverted ? -value : value;
+}
+
+/**
+ * Applies a dead zone and response curve to an analog input.
+ * @param {number} value - Raw input, -1 to 1.
+ * @param {{deadZone: number, exponent: number}} settings - Device settings.
+ * @returns {number}
+ */
+function shape(value, { deadZone, exponent }) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadZone) { return 0; }
+    return Math.sign(value) * Math.pow(Math.min(1, (magnitude - deadZone) / (1 - deadZone)), exponent);
+}
+
+/**
+ * Clamps a value to a range.
+ * @param {number} value - Value.
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Creates the on-screen sticks and brake button. They stay hidden until the
+ * screen is first touched.
+ * @returns {void}
+ */
+function initializeTouch() {
+    const container = document.getElementById('touch-controls');
+    if (!container) { return; }
+    window.addEventListener('touchstart', () => { container.hidden = false; }, { once: true });
+
+    for (const side of ['left', 'right']) {
+        const stick = document.createElement('div');
+        stick.className = `touch-stick touch-stick-${side}`;
+        const knob = document.createElement('div');
+        knob.className = 'touch-knob';
+        stick.appendChild(knob);
+        container.appendChild(stick);
+
+        let pointer = null;
+        const move = (event) => {
+            const rect = stick.getBoundingClientRect();
+            const radius = rect.width / 2;
+            let x = (event.clientX - rect.left - radius) / radius;
+            let y = (event.clientY - rect.top - radius) / radius;
+            const length = Math.hypot(x, y);
+            if (length > 1) { x /= length; y /= length; }
+            touch[side].x = x;
+            touch[side].y = y;
+            knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+        };
+        const release = () => {
+            pointer = null;
+            touch[side].x = touch[side].y = 0;
+            knob.style.transform = '';
+        };
+        stick.addEventListener('pointerdown', (event) => {
+            pointer = event.pointerId;
+            stick.setPointerCapture(pointer);
+            move(event);
+        });
+        stick.addEventListener('pointermove', (event) => { if (event.pointerId === pointer) { move(event); } });
+        stick.addEventListener('pointerup', release);
+        stick.addEventListener('pointercancel', release);
+    }
+
+    const brake = document.createElement('button');
+    brake.className = 'touch-brake';
+    brake.textContent = 'Brake';
+    brake.addEventListener('pointerdown', () => { touch.brake = 1; });
+    brake.addEventListener('pointerup', () => { touch.brake = 0; });
+    brake.addEventListener('pointercancel', () => { touch.brake = 0; });
+    container.appendChild(brake);
+}
+
+/**
+ * Builds the list of bindings in the #controls panel. Clicking a binding
+ * waits for a key, gamepad axis or gamepad button to replace it.
+ * @returns {void}
+ */
+function renderControlsPanel() {
+    const list = document.getElementById('bindings');
+    if (!list) { return; }
+    list.replaceChildren();
+
+    const addRow = (label, slots, gamepad) => {
+        const row = document.createElement('div');
+        row.className = 'binding';
+        row.append(`${label}: `);
+        slots.forEach(({ type, action, slot, keys }, index) => {
+            if (index > 0) { row.append(' / '); }
+            const button = document.createElement('button');
+            button.className = 'binding-key';
+            const active = listening && listening.action === action && listening.slot === slot;
+            button.textContent = active ? '…' : (keys.map(keyLabel).join(', ') || '—');
+            button.addEventListener('click', () => {
+                button.blur();
+                listening = { type, action, slot };
+                renderControlsPanel();
+            });
+            row.appendChild(button);
+        });
+        if (gamepad) { row.append(` (${gamepad})`); }
+        list.appendChild(row);
+    };
+
+    for (const [action, axis] of Object.entries(bindings.axes)) {
+        const slots = [{ type: 'axes', action, slot: 'positive', keys: axis.positive }];
+        if (action !== 'brake') { slots.unshift({ type: 'axes', action, slot: 'negative', keys: axis.negative }); }
+        addRow(axis.label, slots, gamepadLabel(axis.gamepad));
+    }
+    for (const [action, command] of Object.entries(bindings.commands)) {
+        addRow(command.label, [{ type: 'commands', action, slot: 'keys', keys: command.keys }], gamepadLabel(command.gamepad));
+    }
+
+    const reset = document.createElement('button');
+    reset.textContent = 'Default Bindings';
+    reset.addEventListener('click', () => {
+        reset.blur();
+        resetBindings();
+    });
+    list.appendChild(reset);
+}
+
+/**
+ * Stops waiting for a new binding and redraws the panel.
+ * @returns {void}
+ */
+function stopListening() {
+    listening = null;
+    renderControlsPanel();
+}
+
+/**
+ * Short name for a key code, e.g. 'KeyW' → 'W'.
+ * @param {string} code - KeyboardEvent.code.
+ * @returns {string}
+ */
+function keyLabel(code) {
+    return KEY_LABELS[code] ?? code.replace(/^Key/, '').replace(/^Digit/, '');
+}
+
+/**
+ * Short description of a gamepad binding, e.g. 'pad axis 1' or 'pad button 6 / 7'.
+ * @param {Object|undefined} binding - Gamepad binding of an axis or command.
+ * @returns {string}
+ */
+function gamepadLabel(binding) {
+    if (!binding) { return ''; }
+    if (Number.isInteger(binding.button)) { return `pad button ${binding.button}`; }
+    if (Number.isInteger(binding.axis)) { return `pad axis ${binding.axis}${binding.invert ? ' inverted' : ''}`; }
+    // Negative first, as in the key slots
+    const buttons = [binding.negative, binding.positive].map(slot => (slot ? slot.button : '—'));
+    return binding.negative ? `pad button ${buttons.join(' / ')}` : `pad button ${buttons[1]}`;
+}
+
+/**
+ * Whether keys pressed in an element are typed text rather than controls.
+ * @param {EventTarget} target - Target of the key event.
+ * @returns {boolean}
+ */
+function isTextField(target) {
+    return target instanceof HTMLTextAreaElement ||
+        (target instanceof HTMLInputElement && !['button', 'checkbox', 'file', 'radio', 'range'].includes(target.type));
+}
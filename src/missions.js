@@ -0,0 +1,294 @@
+/**
+ * Missions: sequences of objectives defined in missions.json — rings to fly
+ * through, waypoints to pass over and landings — with an optional time limit
+ * and height ceiling. Objective positions are given relative to the starting
+ * runway (meters along and across it) and ring heights relative to the
+ * surface beneath them (the sea, over water), so the same mission works in
+ * every world. Finished
+ * missions are scored and the best time and score kept in localStorage.
+ */
+
+import * as THREE from 'three';
+import { runwayPoint, isOnRunway } from './runways.js';
+import { TOUCHDOWN_LIMITS } from './ground-contact.js';
+import data from './missions.json';
+
+export const MISSIONS = data.missions;
+
+const STORAGE_KEY = 'flight-sim.missions';
+const RING_RADIUS = 30; // meters, when a ring doesn't say
+const RING_TUBE = 2; // meters
+const WAYPOINT_RADIUS = 200; // meters, when a waypoint doesn't say
+const BEACON_RADIUS = 6; // meters
+const BEACON_HEIGHT = 1500; // meters
+const OBJECTIVE_POINTS = 100;
+const TIME_POINTS = 2; // per second left on the clock
+const LANDING_POINTS = 50; // per m/s of sink rate under the touchdown limit
+const CURRENT_COLOR = new THREE.Color(0xffd700);
+const LATER_COLOR = new THREE.Color(0xff6600);
+
+let scene = null;
+let surfaceHeightAt = () => null;
+let active = null;
+
+/**
+ * Sets up missions.
+ * @param {THREE.Scene} sceneObject - Scene for the rings and beacons.
+ * @param {function(number, number): (number|null)} getSurfaceHeight - World
+ *        height of the ground or sea surface at an x, z position, or null if
+ *        not generated yet. Must match the groundHeight given to updateMission().
+ * @returns {void}
+ */
+export function initializeMissions(sceneObject, getSurfaceHeight) {
+    scene = sceneObject;
+    surfaceHeightAt = getSurfaceHeight;
+}
+
+/**
+ * Looks up a mission by id.
+ * @param {string} id - Id from missions.json.
+ * @returns {Object|null} The mission, or null if there is none.
+ */
+export function getMission(id) {
+    return MISSIONS.find(mission => mission.id === id) ?? null;
+}
+
+/**
+ * Starts a mission from a runway, replacing the one in progress.
+ * @param {Object} mission - Mission from MISSIONS.
+ * @param {Object} runway - Runway the mission is flown from (see runwayForChunk()).
+ * @returns {void}
+ */
+export function startMission(mission, runway) {
+    stopMission();
+    let from = runwayPoint(runway, -runway.length / 2, 0);
+    const objectives = mission.objectives.map((objective) => {
+        const point = objective.type === 'land'
+            ? { x: runway.x, z: runway.z }
+            : runwayPoint(runway, objective.along ?? 0, objective.across ?? 0);
+        const placed = {
+            ...objective,
+            ...point,
+            radius: objective.radius ?? (objective.type === 'ring' ? RING_RADIUS : WAYPOINT_RADIUS),
+            y: null, // world height of the ring center, once the terrain under it is known
+            facing: new THREE.Vector3(point.x - from.x, 0, point.z - from.z).normalize(),
+            mesh: null,
+        };
+        if (objective.type === 'ring' || objective.type === 'waypoint') {
+            placed.mesh = objective.type === 'ring' ? createRingMesh(placed) : createBeaconMesh();
+            placed.mesh.visible = false;
+            scene.add(placed.mesh);
+        }
+        from = point;
+        return placed;
+    });
+    active = {
+        mission,
+        runway,
+        objectives,
+        index: 0,
+        elapsed: 0,
+        status: 'active',
+        reason: '',
+        score: 0,
+        sinkRate: null, // at the last touchdown
+        best: loadBestResults()[mission.id] ?? null,
+        newBest: false,
+    };
+}
+
+/**
+ * Abandons the mission in progress and removes its markers.
+ * @returns {void}
+ */
+export function stopMission() {
+    if (!active) { return; }
+    for (const objective of active.objectives) {
+        if (objective.mesh) {
+            scene.remove(objective.mesh);
+            objective.mesh.geometry.dispose();
+            objective.mesh.material.dispose();
+        }
+    }
+    active = null;
+}
+
+/**
+ * @returns {Object|null} The mission in progress or just finished: the
+ *          mission, its placed objectives, the index of the current one,
+ *          elapsed seconds, status ('active', 'complete' or 'failed'), the
+ *          reason it failed, the score, and the best result so far.
+ */
+export function getMissionProgress() {
+    return active;
+}
+
+/**
+ * The objectives still to go as map waypoints, numbered in order with the
+ * landing as "L".
+ * @returns {Array<{x: number, z: number, label: string}>}
+ */
+export function missionWaypoints() {
+    if (!active) { return []; }
+    return active.objectives.slice(active.index).map((objective, index) => ({
+        x: objective.x,
+        z: objective.z,
+        label: objective.type === 'land' ? 'L' : String(active.index + index + 1),
+    }));
+}
+
+/**
+ * Advances the mission by one flight step: checks the current objective and
+ * the time limit and height ceiling.
+ * @param {Object} previous - Flight state before the step.
+ * @param {Object} current - Flight state after the step.
+ * @param {number} dt - Step length in seconds.
+ * @param {Object} world
+ * @param {number} world.groundHeight - Height of the ground or sea surface under the aircraft.
+ * @param {Object|null} world.contact - Ground contact event of the step, from detectGroundContact().
+ * @returns {string|null} 'objective', 'complete' or 'failed' when something
+ *          happened, otherwise null.
+ */
+export function updateMission(previous, current, dt, { groundHeight, contact }) {
+    if (!active || active.status !== 'active') { return null; }
+    const { mission } = active;
+    active.elapsed += dt;
+    const height = current.position.y - groundHeight;
+
+    if (contact && contact.type === 'crash') { return fail(contact.reason); }
+    if (contact && contact.type === 'touchdown') { active.sinkRate = contact.sinkRate; }
+    if (mission.timeLimit && active.elapsed > mission.timeLimit) { return fail('Out of time'); }
+    if (mission.maxHeight && !current.onGround && height > mission.maxHeight) {
+        return fail(`Climbed above ${mission.maxHeight} m`);
+    }
+
+    const objective = active.objectives[active.index];
+    let reached = false;
+    if (objective.type === 'ring') {
+        reached = crossesRing(objective, previous.position, current.position);
+    } else if (objective.type === 'waypoint') {
+        reached = Math.hypot(current.position.x - objective.x, current.position.z - objective.z) <= objective.radius &&
+            height >= (objective.minHeight ?? -Infinity) && height <= (objective.maxHeight ?? Infinity);
+    } else if (objective.type === 'land') {
+        reached = contact !== null && contact.type === 'landed' && isOnRunway(active.runway, current.position);
+    }
+    if (!reached) { return null; }
+
+    if (objective.mesh) { objective.mesh.visible = false; }
+    active.index++;
+    if (active.index < active.objectives.length) { return 'objective'; }
+    complete();
+    return 'complete';
+}
+
+/**
+ * Places the markers on the terrain as it loads and highlights the current
+ * objective. Call once per frame.
+ * @returns {void}
+ */
+export function updateMissionMarkers() {
+    if (!active) { return; }
+    active.objectives.forEach((objective, index) => {
+        if (!objective.mesh) { return; }
+        if (objective.y === null) {
+            const surface = surfaceHeightAt(objective.x, objective.z);
+            if (surface === null) { return; }
+            objective.y = surface + (objective.height ?? 0);
+            objective.mesh.position.set(objective.x, objective.type === 'ring' ? objective.y : surface + BEACON_HEIGHT / 2, objective.z);
+        }
+        objective.mesh.visible = index >= active.index && active.status === 'active';
+        objective.mesh.material.color.copy(index === active.index ? CURRENT_COLOR : LATER_COLOR);
+    });
+}
+
+/**
+ * Best results for each mission.
+ * @returns {Object<string, {time: number, score: number}>} By mission id.
+ */
+export function loadBestResults() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch {
+        return {}; // unreadable, start afresh
+    }
+}
+
+/**
+ * Ends the mission as failed.
+ * @param {string} reason - Why it failed.
+ * @returns {string} 'failed'
+ */
+function fail(reason) {
+    active.status = 'failed';
+    active.reason = reason;
+    return 'failed';
+}
+
+/**
+ * Ends the mission as complete, scores it and saves the best result.
+ * @returns {void}
+ */
+function complete() {
+    const { mission, objectives, elapsed, sinkRate } = active;
+    const landed = objectives.some(objective => objective.type === 'land');
+    active.status = 'complete';
+    active.score = objectives.length * OBJECTIVE_POINTS +
+        (mission.timeLimit ? Math.round(Math.max(0, mission.timeLimit - elapsed) * TIME_POINTS) : 0) +
+        (landed && sinkRate !== null ? Math.round(Math.max(0, TOUCHDOWN_LIMITS.maxSinkRate - sinkRate) * LANDING_POINTS) : 0);
+
+    const results = loadBestResults();
+    const best = results[mission.id];
+    active.newBest = !best || elapsed < best.time || active.score > best.score;
+    results[mission.id] = {
+        time: best ? Math.min(best.time, elapsed) : elapsed,
+        score: best ? Math.max(best.score, active.score) : active.score,
+    };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(results));
+    } catch {
+        // Storage is full or disabled; the result just isn't kept
+    }
+    active.best = results[mission.id];
+}
+
+/**
+ * Whether a step's path passes through a ring, in either direction.
+ * @param {Object} ring - Placed ring objective.
+ * @param {THREE.Vector3} from - Position before the step.
+ * @param {THREE.Vector3} to - Position after the step.
+ * @returns {boolean}
+ */
+function crossesRing(ring, from, to) {
+    if (ring.y === null) { return false; }
+    const center = new THREE.Vector3(ring.x, ring.y, ring.z);
+    const before = from.clone().sub(center).dot(ring.facing);
+    const after = to.clone().sub(center).dot(ring.facing);
+    if (before === after || Math.sign(before) === Math.sign(after)) { return false; }
+    const crossing = from.clone().lerp(to, before / (before - after));
+    return crossing.distanceTo(center) <= ring.radius;
+}
+
+/**
+ * Builds a glowing ring facing along the objective's direction of approach.
+ * @param {Object} ring - Placed ring objective.
+ * @returns {THREE.Mesh}
+ */
+function createRingMesh(ring) {
+    const mesh = new THREE.Mesh(
+        new THREE.TorusGeometry(ring.radius, RING_TUBE, 12, 48),
+        new THREE.MeshBasicMaterial({ color: LATER_COLOR }),
+    );
+    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), ring.facing);
+    return mesh;
+}
+
+/**
+ * Builds a tall translucent column that marks a waypoint from afar.
+ * @returns {THREE.Mesh}
+ */
+function createBeaconMesh() {
+    return new THREE.Mesh(
+        new THREE.CylinderGeometry(BEACON_RADIUS, BEACON_RADIUS, BEACON_HEIGHT, 16, 1, true),
+        new THREE.MeshBasicMaterial({ color: LATER_COLOR, transparent: true, opacity: 0.4, depthWrite: false }),
+    );
+}
@@ -0,0 +1,362 @@
+/**
+ * Multiplayer client. Connects to the WebSocket relay in server/relay.js,
+ * sends the aircraft's state a few times a second and draws everyone else's
+ * aircraft with a name label. Remote states arrive irregularly, so remote
+ * aircraft are drawn a little in the past, interpolating between the states
+ * either side, and extrapolated along their velocity when states run late.
+ * Everyone has to fly in the same world: the relay turns away players whose
+ * seed doesn't match the session's and tells them the right one, and players
+ * whose imported terrain (identified by its hash) differs from the session's.
+ */
+
+import * as THREE from 'three';
+import { getAircraftType, DEFAULT_AIRCRAFT_TYPE, loadAircraftModel, createFallbackModel } from './aircraft-catalog.js';
+import { rigAircraft, animateAircraft, setGearDown } from './aircraft-animation.js';
+import { setupShadowMaterials, releaseShadowMaterials } from './shadows.js';
+import { parseRemoteState, sampleRemote } from './remote-state.js';
+
+export const DEFAULT_SERVER = 'ws://localhost:8090';
+
+const STORAGE_KEY = 'flight-sim.multiplayer';
+const SEND_RATE = 10; // states per second
+const INTERPOLATION_DELAY = 0.25; // seconds remote aircraft are drawn behind their latest state
+const MAX_SAMPLES = 30; // states kept per remote aircraft
+const LABEL_HEIGHT = 8; // meters above the aircraft
+const LABEL_SCALE = 0.04; // label height on screen, in the units of a sprite without size attenuation
+
+let scene = null;
+let worldSeed = null;
+let onStatus = () => {};
+let socket = null;
+let session = null; // the relay we connected to, with our name and aircraft
+let localId = null;
+let sendAccumulator = 0;
+const remotes = new Map(); // player id → remote aircraft
+
+/**
+ * Sets up multiplayer.
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene - Scene for the remote aircraft.
+ * @param {number} options.seed - This world's seed.
+ * @param {function(string, string=): void} [options.onStatus] - Called with a
+ *        status message whenever the connection changes, and a link when the
+ *        session is in another world.
+ * @returns {void}
+ */
+export function initializeMultiplayer({ scene: sceneObject, seed, onStatus: statusCallback = () => {} }) {
+    scene = sceneObject;
+    worldSeed = seed;
+    onStatus = statusCallback;
+}
+
+/**
+ * The name and server used last time.
+ * @returns {{name: string, server: string}}
+ */
+export function loadMultiplayerSettings() {
+    try {
+        return { name: '', server: DEFAULT_SERVER, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch {
+        return { name: '', server: DEFAULT_SERVER }; // unreadable, start afresh
+    }
+}
+
+/**
+ * Connects to a relay, dropping any earlier connection.
+ * @param {string} server - WebSocket URL of the relay.
+ * @param {Object} player
+ * @param {string} player.name - Name shown to the others.
+ * @param {string|null} player.aircraft - Catalog id of the aircraft type.
+ * @param {number|null} [player.terrain] - Hash of the imported terrain, or
+ *        null if the world's terrain is all generated from its seed.
+ * @returns {void}
+ */
+export function connectMultiplayer(server, { name, aircraft, terrain = null }) {
+    disconnectMultiplayer();
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ name, server }));
+    } catch {
+        // Storage is full or disabled; the settings just aren't remembered
+    }
+    let connection;
+    try {
+        connection = new WebSocket(server);
+    } catch (error) {
+        onStatus(`Bad server address: ${error.message}`);
+        return;
+    }
+    socket = connection;
+    session = { server, name, aircraft };
+    onStatus(`Connecting to ${server}…`);
+    connection.addEventListener('open', () => send({ type: 'hello', name, aircraft, seed: worldSeed, terrain }));
+    connection.addEventListener('message', (event) => handleMessage(event.data));
+    connection.addEventListener('close', (event) => {
+        if (socket !== connection) { return; } // replaced by a newer connection
+        socket = null;
+        localId = null;
+        clearRemotes();
+        onStatus(event.reason ? `Disconnected: ${event.reason}` : `Could not reach ${server}`);
+    });
+}
+
+/**
+ * Leaves the session and removes the other players' aircraft.
+ * @returns {void}
+ */
+export function disconnectMultiplayer() {
+    if (socket) {
+        const connection = socket;
+        socket = null;
+        connection.close();
+        onStatus('Offline');
+    }
+    localId = null;
+    clearRemotes();
+}
+
+/**
+ * @returns {boolean} Whether we are connected or connecting to a relay.
+ */
+export function isOnline() {
+    return socket !== null;
+}
+
+/**
+ * @returns {boolean} Whether we are in a session.
+ */
+export function isConnected() {
+    return localId !== null;
+}
+
+/**
+ * @returns {Array<{id: number, name: string}>} The other players in the session.
+ */
+export function getRemotePlayers() {
+    return Array.from(remotes.values(), ({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Sends our state at the send rate and moves the other players' aircraft.
+ * Call once per frame.
+ * @param {number} delta - Seconds since the last frame.
+ * @param {Object} local
+ * @param {Object|null} local.state - Our flight state, or null while it isn't
+ *        live (e.g. replaying a recording), so the others don't see a replay
+ *        as where we are.
+ * @param {Object} local.controls - Our pitch, roll and yaw.
+ * @param {number} local.gear - How far down our gear is, 0 to 1.
+ * @param {string|null} local.aircraft - Catalog id of our aircraft type.
+ * @param {number} [now] - Current time in seconds.
+ * @returns {void}
+ */
+export function updateMultiplayer(delta, { state, controls, gear, aircraft }, now = performance.now() / 1000) {
+    if (isConnected() && state) {
+        sendAccumulator += delta;
+        if (sendAccumulator >= 1 / SEND_RATE) {
+            sendAccumulator %= 1 / SEND_RATE;
+            send({
+                type: 'state',
+                t: round(now),
+                aircraft,
+                position: state.position.toArray().map(round),
+                quaternion: state.quaternion.toArray().map(round),
+                velocity: state.velocity.toArray().map(round),
+                throttle: round(state.throttle),
+                controls: { pitch: round(controls.pitch), roll: round(controls.roll), yaw: round(controls.yaw) },
+                gear: round(gear),
+            });
+        }
+    }
+
+    for (const remote of remotes.values()) {
+        if (!remote.model || remote.samples.length === 0) { continue; }
+        const sample = sampleRemote(remote.samples, now - remote.clockOffset - INTERPOLATION_DELAY);
+        remote.model.position.copy(sample.position);
+        remote.model.quaternion.copy(sample.quaternion);
+        setGearDown(remote.rig, sample.gear > 0.5, sample.gear);
+        animateAircraft(remote.rig, sample.controls, sample.throttle, delta);
+        remote.label.position.copy(sample.position).y += LABEL_HEIGHT;
+        remote.label.visible = true;
+    }
+}
+
+/**
+ * Handles a message from the relay.
+ * @param {string} data - Raw message.
+ */
+function handleMessage(data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch {
+        return; // not JSON, ignore it
+    }
+    if (message.type === 'welcome') {
+        localId = message.id;
+        sendAccumulator = 0;
+        message.players.forEach(addRemote);
+        showSessionStatus();
+    } else if (message.type === 'wrong-seed') {
+        disconnectMultiplayer();
+        // Reopening with the right seed connects straight back
+        const params = new URLSearchParams(window.location.search);
+        params.set('seed', message.seed);
+        params.set('server', session.server);
+        params.set('name', session.name);
+        onStatus(`The session flies in world ${message.seed}: open it to join`, `?${params}`);
+    } else if (message.type === 'wrong-terrain') {
+        disconnectMultiplayer();
+        onStatus(message.imported
+            ? 'The session flies over an imported heightmap: import the same one to join'
+            : 'The session flies over generated terrain: reload without the imported heightmap to join');
+    } else if (message.type === 'join') {
+        addRemote(message);
+        showSessionStatus();
+    } else if (message.type === 'leave') {
+        removeRemote(message.id);
+        showSessionStatus();
+    } else if (message.type === 'state') {
+        receiveState(message);
+    }
+}
+
+/**
+ * Reports how many others are in the session.
+ */
+function showSessionStatus() {
+    const names = getRemotePlayers().map(remote => remote.name);
+    onStatus(names.length === 0 ? 'Connected, flying alone' : `Flying with ${names.join(', ')}`);
+}
+
+/**
+ * Adds another player, with their aircraft and name label.
+ * @param {{id: number, name: string, aircraft: string}} player - From the relay.
+ */
+function addRemote({ id, name, aircraft }) {
+    if (remotes.has(id)) { return; }
+    const label = createLabel(name);
+    label.visible = false; // until their first state arrives
+    scene.add(label);
+    const remote = { id, name, aircraft: null, samples: [], clockOffset: Infinity, model: null, rig: null, label };
+    remotes.set(id, remote);
+    setRemoteAircraft(remote, aircraft);
+}
+
+/**
+ * Removes another player's aircraft and label.
+ * @param {number} id - Player id.
+ */
+function removeRemote(id) {
+    const remote = remotes.get(id);
+    if (!remote) { return; }
+    remotes.delete(id);
+    removeRemoteModel(remote);
+    scene.remove(remote.label);
+    remote.label.material.map.dispose();
+    remote.label.material.dispose();
+}
+
+/**
+ * Removes every other player.
+ */
+function clearRemotes() {
+    for (const id of Array.from(remotes.keys())) { removeRemote(id); }
+}
+
+/**
+ * Stores a state from another player.
+ * @param {Object} message - State message from the relay.
+ */
+function receiveState(message) {
+    const remote = remotes.get(message.id);
+    const sample = parseRemoteState(message);
+    if (!remote || !sample) { return; }
+    const aircraft = typeof message.aircraft === 'string' ? message.aircraft : null;
+    if (aircraft !== remote.aircraft) { setRemoteAircraft(remote, aircraft); }
+    const last = remote.samples[remote.samples.length - 1];
+    if (last && sample.t <= last.t) { return; } // out of order
+    // The smallest gap between sending and receiving is the closest guess at
+    // the difference between the two clocks
+    remote.clockOffset = Math.min(remote.clockOffset, performance.now() / 1000 - sample.t);
+    remote.samples.push(sample);
+    if (remote.samples.length > MAX_SAMPLES) { remote.samples.shift(); }
+}
+
+/**
+ * Loads the model for another player's aircraft type, or a stand-in if it
+ * fails to load.
+ * @param {Object} remote - Remote aircraft.
+ * @param {string|null} aircraft - Catalog id.
+ */
+function setRemoteAircraft(remote, aircraft) {
+    remote.aircraft = aircraft;
+    const type = getAircraftType(aircraft) ?? getAircraftType(DEFAULT_AIRCRAFT_TYPE);
+    loadAircraftModel(type).then(group => ({ group, rig: rigAircraft(group, group.userData.parts) })).catch(() => {
+        const group = createFallbackModel(type);
+        return { group, rig: rigAircraft(group, group.userData.parts) };
+    }).then(({ group, rig }) => {
+        // The player may have left or switched aircraft while it loaded
+        if (remotes.get(remote.id) !== remote || remote.aircraft !== aircraft) { return; }
+        removeRemoteModel(remote);
+        remote.rig = rig;
+        setupShadowMaterials(group);
+        remote.model = group;
+        scene.add(group);
+    });
+}
+
+/**
+ * Takes another player's aircraft model out of the scene.
+ * @param {Object} remote - Remote aircraft.
+ */
+function removeRemoteModel(remote) {
+    if (!remote.model) { return; }
+    scene.remove(remote.model);
+    releaseShadowMaterials(remote.model);
+    remote.model = null;
+    remote.rig = null;
+}
+
+/**
+ * Builds a name label that always faces the camera and stays the same size on screen.
+ * @param {string} name - Player name.
+ * @returns {THREE.Sprite}
+ */
+function createLabel(name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 36px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.strokeText(name, canvas.width / 2, canvas.height / 2, canvas.width - 8);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width - 8);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, sizeAttenuation: false, depthTest: false }));
+    label.scale.set(LABEL_SCALE * canvas.width / canvas.height, LABEL_SCALE, 1);
+    label.renderOrder = 1; // over the terrain and clouds
+    return label;
+}
+
+/**
+ * Sends a message to the relay if connected.
+ * @param {Object} message - Message to send.
+ */
+function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) { socket.send(JSON.stringify(message)); }
+}
+
+/**
+ * Rounds a number for sending; millimeters are plenty.
+ * @param {number} value - Number to round.
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,396 @@
+/**
+ * Navigation maps drawn on 2D canvases from the generated heightmaps: a
+ * heading-up minimap of the area around the aircraft and a full-screen,
+ * north-up map of everything explored so far, with runways, waypoints and
+ * the flight track. Each chunk's shaded relief is rendered once and cached.
+ * Nothing here needs WebGL; the drawing functions take any 2D context.
+ */
+
+import * as THREE from 'three';
+import { sampleBilinear } from './terrain-generation.js';
+import { biomeColor } from './terrain-biomes.js';
+
+const TILE_SIZE = 64; // relief pixels per chunk
+const MINIMAP_RANGE = 3000; // meters from the aircraft to the minimap's edge
+const TRACK_SPACING = 50; // meters between flight track points
+const MAX_TRACK_POINTS = 20000;
+const FULL_MAP_PADDING = 40; // pixels around the explored area
+const LIGHT = new THREE.Vector3(-1, 1.5, -1).normalize(); // relief lit from the northwest
+const WATER_COLOR = new THREE.Color(0x2e5f8a);
+const DEEP_WATER_COLOR = new THREE.Color(0x163452);
+const DEEP_WATER = 60; // meters below sea level where the water color is darkest
+const TRACK_COLOR = '#ff3b3b';
+const RUNWAY_COLOR = '#ffffff';
+const WAYPOINT_COLOR = '#ffd700';
+
+let minimapCanvas = null;
+let fullMapCanvas = null;
+let settings = { squareSize: 2000, heightOffset: 0, seaLevel: 0 };
+const tiles = new Map(); // chunk key → relief canvas
+const track = [];
+let waypoints = [];
+
+/**
+ * Sets up the maps.
+ * @param {Object} options
+ * @param {HTMLCanvasElement} options.minimap - Canvas for the minimap.
+ * @param {HTMLCanvasElement} options.fullMap - Canvas for the full-screen map,
+ *        shown and hidden with toggleFullMap().
+ * @param {number} options.squareSize - Chunk size in meters.
+ * @param {number} options.heightOffset - World height of a heightmap value of 0.
+ * @param {number} options.seaLevel - World height of the sea surface.
+ * @returns {void}
+ */
+export function initializeMap({ minimap, fullMap, squareSize, heightOffset, seaLevel }) {
+    minimapCanvas = minimap;
+    fullMapCanvas = fullMap;
+    settings = { squareSize, heightOffset, seaLevel };
+}
+
+/**
+ * Shades a chunk's heightmap as a map tile: biome colors like the terrain,
+ * blue water, and hill shading lit from the northwest. North is up and east
+ * is right, so rows run south and columns east.
+ * @param {Array<Array<number>>} heights - Chunk heightmap, rows towards -z and
+ *        columns towards -x as stored in chunkHeights.
+ * @param {Object} options
+ * @param {number} options.size - Tile width and height in pixels.
+ * @param {number} options.squareSize - Chunk size in meters.
+ * @param {number} options.heightOffset - World height of a heightmap value of 0.
+ * @param {number} options.seaLevel - World height of the sea surface.
+ * @returns {Uint8ClampedArray} RGBA pixels, size × size.
+ */
+export function shadeRelief(heights, { size, squareSize, heightOffset, seaLevel }) {
+    const last = heights.length - 1;
+    const pixels = new Uint8ClampedArray(size * size * 4);
+    const step = 1 / size; // one pixel, as a fraction of the chunk
+    const height = (u, v) => sampleBilinear(heights,
+        THREE.MathUtils.clamp(1 - v, 0, 1) * last, THREE.MathUtils.clamp(1 - u, 0, 1) * last) + heightOffset;
+    const normal = new THREE.Vector3();
+    const color = new THREE.Color();
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            const u = (i + 0.5) * step, v = (j + 0.5) * step; // east and south fractions of the chunk
+            const h = height(u, v);
+            const run = 2 * step * squareSize;
+            normal.set(height(u - step, v) - height(u + step, v), run, height(u, v - step) - height(u, v + step)).normalize();
+            if (h < seaLevel) {
+                color.lerpColors(WATER_COLOR, DEEP_WATER_COLOR, THREE.MathUtils.clamp((seaLevel - h) / DEEP_WATER, 0, 1));
+            } else {
+                biomeColor(h - seaLevel, normal.y, color);
+                color.multiplyScalar(0.55 + 0.65 * Math.max(0, normal.dot(LIGHT)));
+            }
+            const index = (j * size + i) * 4;
+            pixels[index] = color.r * 255;
+            pixels[index + 1] = color.g * 255;
+            pixels[index + 2] = color.b * 255;
+            pixels[index + 3] = 255;
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Adds the aircraft's position to the flight track if it has moved far
+ * enough from the last point.
+ * @param {THREE.Vector3} position - Aircraft position.
+ * @returns {void}
+ */
+export function recordTrackPoint(position) {
+    const last = track[track.length - 1];
+    if (last && Math.hypot(position.x - last.x, position.z - last.z) < TRACK_SPACING) {
+        return;
+    }
+    track.push({ x: position.x, z: position.z });
+    if (track.length > MAX_TRACK_POINTS) {
+        track.splice(0, track.length - MAX_TRACK_POINTS);
+    }
+}
+
+/**
+ * Forgets the cached relief and the flight track, e.g. when the terrain is
+ * regenerated.
+ * @returns {void}
+ */
+export function clearMap() {
+    tiles.clear();
+    track.length = 0;
+}
+
+/**
+ * Sets the waypoints drawn on the maps.
+ * @param {Array<{x: number, z: number, label: string}>} list - Waypoints in
+ *        world coordinates, in order.
+ * @returns {void}
+ */
+export function setMapWaypoints(list) {
+    waypoints = list;
+}
+
+/**
+ * Shows or hides the full-screen map.
+ * @returns {boolean} Whether the full-screen map is now shown.
+ */
+export function toggleFullMap() {
+    fullMapCanvas.hidden = !fullMapCanvas.hidden;
+    return !fullMapCanvas.hidden;
+}
+
+/**
+ * Redraws the minimap, and the full-screen map if it is shown.
+ * @param {Object} world
+ * @param {Object<string, Array<Array<number>>>} world.chunkHeights - Heightmaps by "x,y" chunk key.
+ * @param {Array<Object>} world.runways - Runways to draw (see runwayForChunk()).
+ * @param {THREE.Vector3} world.position - Aircraft position.
+ * @param {number} world.heading - Aircraft heading in radians, clockwise from north.
+ * @returns {void}
+ */
+export function updateMap(world) {
+    if (minimapCanvas) {
+        drawMinimap(minimapCanvas.getContext('2d'), minimapCanvas.width, minimapCanvas.height, world);
+    }
+    if (fullMapCanvas && !fullMapCanvas.hidden) {
+        if (fullMapCanvas.width !== window.innerWidth || fullMapCanvas.height !== window.innerHeight) {
+            fullMapCanvas.width = window.innerWidth;
+            fullMapCanvas.height = window.innerHeight;
+        }
+        drawFullMap(fullMapCanvas.getContext('2d'), fullMapCanvas.width, fullMapCanvas.height, world);
+    }
+}
+
+/**
+ * Draws the heading-up minimap centered on the aircraft.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @param {Object} world - See updateMap().
+ * @returns {void}
+ */
+export function drawMinimap(ctx, width, height, world) {
+    const scale = Math.min(width, height) / 2 / MINIMAP_RANGE;
+    ctx.save();
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(-world.heading);
+    ctx.scale(scale, scale);
+    ctx.translate(-world.position.x, -world.position.z);
+    drawWorld(ctx, world, scale);
+    const transform = ctx.getTransform();
+    ctx.restore();
+
+    drawWaypoints(ctx, transform);
+    drawAircraftMarker(ctx, width / 2, height / 2, 0);
+    drawNorthArrow(ctx, width / 2, height / 2, Math.min(width, height) / 2 - 10, -world.heading);
+}
+
+/**
+ * Draws the north-up map of the explored area.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @param {Object} world - See updateMap().
+ * @returns {void}
+ */
+export function drawFullMap(ctx, width, height, world) {
+    const { squareSize } = settings;
+    const bounds = { minX: world.position.x, maxX: world.position.x, minZ: world.position.z, maxZ: world.position.z };
+    const extend = (x, z) => {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.minZ = Math.min(bounds.minZ, z);
+        bounds.maxZ = Math.max(bounds.maxZ, z);
+    };
+    for (const key of Object.keys(world.chunkHeights)) {
+        const [x, y] = key.split(',').map(Number);
+        extend((x - 0.5) * squareSize, (y - 0.5) * squareSize);
+        extend((x + 0.5) * squareSize, (y + 0.5) * squareSize);
+    }
+    track.forEach(point => extend(point.x, point.z));
+    waypoints.forEach(point => extend(point.x, point.z));
+
+    const scale = Math.min((width - 2 * FULL_MAP_PADDING) / Math.max(1, bounds.maxX - bounds.minX),
+        (height - 2 * FULL_MAP_PADDING) / Math.max(1, bounds.maxZ - bounds.minZ));
+    ctx.save();
+    ctx.fillStyle = '#0b1620';
+    ctx.fillRect(0, 0, width, height);
+    ctx.translate(width / 2, height / 2);
+    ctx.scale(scale, scale);
+    ctx.translate(-(bounds.minX + bounds.maxX) / 2, -(bounds.minZ + bounds.maxZ) / 2);
+    drawWorld(ctx, world, scale);
+
+    // Outline the explored chunks
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1 / scale;
+    for (const key of Object.keys(world.chunkHeights)) {
+        const [x, y] = key.split(',').map(Number);
+        ctx.strokeRect((x - 0.5) * squareSize, (y - 0.5) * squareSize, squareSize, squareSize);
+    }
+    const transform = ctx.getTransform();
+    ctx.restore();
+
+    drawWaypoints(ctx, transform);
+
+    const toScreen = (x, z) => [
+        width / 2 + (x - (bounds.minX + bounds.maxX) / 2) * scale,
+        height / 2 + (z - (bounds.minZ + bounds.maxZ) / 2) * scale,
+    ];
+    drawAircraftMarker(ctx, ...toScreen(world.position.x, world.position.z), world.heading);
+    drawScaleBar(ctx, 20, height - 20, scale);
+    ctx.fillStyle = '#fff';
+    ctx.font = '14px Arial, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText('N ↑   Press M to close', 20, 30);
+}
+
+/**
+ * Draws the relief, runways and track in world coordinates. The
+ * context is already transformed so one unit is one meter, x east and y south.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into.
+ * @param {Object} world - See updateMap().
+ * @param {number} scale - Pixels per meter, to keep lines and labels a fixed size.
+ * @returns {void}
+ */
+function drawWorld(ctx, world, scale) {
+    const { squareSize } = settings;
+    for (const [key, heights] of Object.entries(world.chunkHeights)) {
+        const [x, y] = key.split(',').map(Number);
+        ctx.drawImage(reliefTile(key, heights), (x - 0.5) * squareSize, (y - 0.5) * squareSize, squareSize, squareSize);
+    }
+
+    for (const runway of world.runways) {
+        ctx.save();
+        ctx.translate(runway.x, runway.z);
+        ctx.rotate(runway.heading);
+        ctx.fillStyle = RUNWAY_COLOR;
+        ctx.fillRect(-Math.max(runway.width, 3 / scale) / 2, -runway.length / 2, Math.max(runway.width, 3 / scale), runway.length);
+        ctx.restore();
+    }
+
+    if (track.length > 1) {
+        ctx.strokeStyle = TRACK_COLOR;
+        ctx.lineWidth = 2 / scale;
+        ctx.beginPath();
+        track.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.z) : ctx.lineTo(point.x, point.z)));
+        ctx.lineTo(world.position.x, world.position.z);
+        ctx.stroke();
+    }
+
+}
+
+/**
+ * Draws the waypoints as numbered circles, in screen space so the labels stay
+ * upright on the heading-up minimap.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into, untransformed.
+ * @param {DOMMatrix} transform - The world-to-screen transform drawWorld() used.
+ * @returns {void}
+ */
+function drawWaypoints(ctx, { a, b, c, d, e, f }) {
+    ctx.save();
+    ctx.fillStyle = WAYPOINT_COLOR;
+    ctx.strokeStyle = WAYPOINT_COLOR;
+    ctx.lineWidth = 2;
+    ctx.font = 'bold 12px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    waypoints.forEach((point, index) => {
+        const x = a * point.x + c * point.z + e;
+        const y = b * point.x + d * point.z + f;
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.fillText(point.label ?? String(index + 1), x, y - 10);
+    });
+    ctx.restore();
+}
+
+/**
+ * The cached relief tile of a chunk, rendered on first use.
+ * @param {string} key - Chunk key.
+ * @param {Array<Array<number>>} heights - Chunk heightmap.
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function reliefTile(key, heights) {
+    let tile = tiles.get(key);
+    if (!tile) {
+        tile = typeof OffscreenCanvas === 'function'
+            ? new OffscreenCanvas(TILE_SIZE, TILE_SIZE)
+            : Object.assign(document.createElement('canvas'), { width: TILE_SIZE, height: TILE_SIZE });
+        const pixels = shadeRelief(heights, { size: TILE_SIZE, ...settings });
+        tile.getContext('2d').putImageData(new ImageData(pixels, TILE_SIZE, TILE_SIZE), 0, 0);
+        tiles.set(key, tile);
+    }
+    return tile;
+}
+
+/**
+ * Draws the aircraft as a triangle pointing along its heading.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into.
+ * @param {number} x - Screen x.
+ * @param {number} y - Screen y.
+ * @param {number} heading - Screen rotation in radians, clockwise from up.
+ * @returns {void}
+ */
+function drawAircraftMarker(ctx, x, y, heading) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(heading);
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(0, -9);
+    ctx.lineTo(6, 7);
+    ctx.lineTo(0, 3);
+    ctx.lineTo(-6, 7);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Draws an "N" on the minimap's rim where north is.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into.
+ * @param {number} x - Screen x of the center.
+ * @param {number} y - Screen y of the center.
+ * @param {number} radius - Distance from the center in pixels.
+ * @param {number} angle - Direction of north in radians, clockwise from up.
+ * @returns {void}
+ */
+function drawNorthArrow(ctx, x, y, radius, angle) {
+    ctx.save();
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 12px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('N', x + Math.sin(angle) * radius, y - Math.cos(angle) * radius);
+    ctx.restore();
+}
+
+/**
+ * Draws a scale bar of a round number of kilometers or meters.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into.
+ * @param {number} x - Screen x of the left end.
+ * @param {number} y - Screen y of the bar.
+ * @param {number} scale - Pixels per meter.
+ * @returns {void}
+ */
+function drawScaleBar(ctx, x, y, scale) {
+    const target = 150 / scale; // meters in about 150 pixels
+    const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+    const meters = [5, 2, 1].map(f => f * magnitude).find(m => m <= target) ?? magnitude;
+    ctx.save();
+    ctx.strokeStyle = '#fff';
+    ctx.fillStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, y - 5);
+    ctx.lineTo(x, y);
+    ctx.lineTo(x + meters * scale, y);
+    ctx.lineTo(x + meters * scale, y - 5);
+    ctx.stroke();
+    ctx.font = '12px Arial, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(meters >= 1000 ? `${meters / 1000} km` : `${meters} m`, x, y - 8);
+    ctx.restore();
+}
@@ -0,0 +1,191 @@
+/**
+ * Night sky: a dome of stars that turns with sidereal time and fades out as
+ * the sun comes up, and a moon disc lit from the sun's direction so it shows
+ * the right phase. Both stay centered on the camera, just inside its far plane.
+ */
+
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+import { createValueNoise, fractalNoise } from './noise.js';
+import { directionFromHorizontal, moonIllumination } from './astronomy.js';
+
+const STAR_COUNT = 3000;
+const STAR_SEED = 0x5eed; // the same stars in every world
+const STAR_DISTANCE = 9000; // meters, inside the camera's far plane
+const STAR_COLORS = [0x9bb0ff, 0xcad7ff, 0xf8f7ff, 0xfff4ea, 0xffd2a1].map(color => new THREE.Color(color));
+const STARS_FADE_OUT = THREE.MathUtils.degToRad(-3); // sun elevation where the last stars vanish
+const STARS_FADE_IN = THREE.MathUtils.degToRad(-15); // sun elevation where all stars show
+const MOON_DISTANCE = 8000; // meters
+const MOON_SIZE = 150; // meters across, about twice the real angular size so it reads on screen
+const MOON_DAY_OPACITY = 0.35; // the moon is paler against the day sky
+const HORIZON = THREE.MathUtils.degToRad(-2);
+
+let stars;
+let moon;
+const sunDirection = new THREE.Vector3();
+const moonDirection = new THREE.Vector3();
+const basis = { x: new THREE.Vector3(), y: new THREE.Vector3(), z: new THREE.Vector3() };
+const rotation = new THREE.Matrix4();
+
+/**
+ * Creates the star dome and the moon and adds them to the scene.
+ * @param {THREE.Scene} scene - Scene to add them to.
+ * @returns {void}
+ */
+export function initializeNightSky(scene) {
+    stars = createStars();
+    moon = createMoon();
+    scene.add(stars);
+    scene.add(moon);
+}
+
+/**
+ * Moves the stars and moon for the current sky positions and camera.
+ * @param {THREE.Camera} camera - The camera the sky is centered on.
+ * @param {Object} sky - From getSkyPositions(): sun and moon positions, local
+ *                       sidereal time and latitude.
+ * @returns {void}
+ */
+export function updateNightSky(camera, { sun, moon: moonPosition, siderealTime, latitude }) {
+    directionFromHorizontal(sun, sunDirection);
+    directionFromHorizontal(moonPosition, moonDirection);
+    const night = 1 - THREE.MathUtils.smoothstep(sun.elevation, STARS_FADE_IN, STARS_FADE_OUT);
+
+    // Stars are stored in equatorial coordinates; turn them so the celestial
+    // pole sits at the observer's latitude and the sky rotates with sidereal time
+    const phi = THREE.MathUtils.degToRad(latitude);
+    const pole = basis.z.set(0, Math.sin(phi), -Math.cos(phi));
+    const meridian = new THREE.Vector3(0, Math.cos(phi), Math.sin(phi)); // celestial equator due south
+    const west = new THREE.Vector3(-1, 0, 0);
+    basis.x.copy(meridian).multiplyScalar(Math.cos(siderealTime)).addScaledVector(west, Math.sin(siderealTime));
+    basis.y.copy(meridian).multiplyScalar(Math.sin(siderealTime)).addScaledVector(west, -Math.cos(siderealTime));
+    stars.quaternion.setFromRotationMatrix(rotation.makeBasis(basis.x, basis.y, pole));
+    stars.position.copy(camera.position);
+    stars.material.opacity = night;
+    stars.visible = night > 0;
+
+    // The moon faces the camera; its shader lights it from the sun
+    moon.position.copy(camera.position).addScaledVector(moonDirection, MOON_DISTANCE);
+    moon.quaternion.copy(camera.quaternion);
+    moon.material.uniforms.sunDirection.value.copy(sunDirection).transformDirection(camera.matrixWorldInverse);
+    moon.material.uniforms.opacity.value = THREE.MathUtils.lerp(MOON_DAY_OPACITY, 1, night);
+    moon.visible = moonPosition.elevation > HORIZON;
+}
+
+/**
+ * How bright the moonlight is from the moon's phase and height in the sky.
+ * @param {Object} sky - From getSkyPositions().
+ * @returns {number} 0 to 1.
+ */
+export function moonBrightness({ sun, moon: moonPosition }) {
+    return moonIllumination(sun, moonPosition) *
+        THREE.MathUtils.smoothstep(moonPosition.elevation, HORIZON, THREE.MathUtils.degToRad(30));
+}
+
+/**
+ * Builds the star dome: seeded random directions with a few bright stars and
+ * many faint ones, tinted by color temperature.
+ * @returns {THREE.Points}
+ */
+function createStars() {
+    const random = createRandom(STAR_SEED);
+    const positions = new Float32Array(STAR_COUNT * 3);
+    const colors = new Float32Array(STAR_COUNT * 3);
+    const color = new THREE.Color();
+    for (let i = 0; i < STAR_COUNT; i++) {
+        const z = random() * 2 - 1, angle = random() * Math.PI * 2;
+        const r = Math.sqrt(1 - z * z);
+        positions.set([r * Math.cos(angle) * STAR_DISTANCE, r * Math.sin(angle) * STAR_DISTANCE, z * STAR_DISTANCE], i * 3);
+        const brightness = 0.15 + 0.85 * Math.pow(random(), 4);
+        color.copy(STAR_COLORS[Math.floor(random() * STAR_COLORS.length)]).multiplyScalar(brightness);
+        colors.set([color.r, color.g, color.b], i * 3);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+        size: 2,
+        sizeAttenuation: false,
+        vertexColors: true,
+        transparent: true,
+        depthWrite: false,
+        fog: false,
+    }));
+    points.frustumCulled = false;
+    return points;
+}
+
+/**
+ * Builds the moon: a camera-facing quad whose shader draws a sphere lit from
+ * the sun's direction in view space, so the phase and the tilt of the
+ * terminator come out right by themselves.
+ * @returns {THREE.Mesh}
+ */
+function createMoon() {
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            map: { value: createMoonTexture(128) },
+            sunDirection: { value: new THREE.Vector3() },
+            opacity: { value: 1 },
+        },
+        vertexShader: /* glsl */`
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }`,
+        fragmentShader: /* glsl */`
+            uniform sampler2D map;
+            uniform vec3 sunDirection;
+            uniform float opacity;
+            varying vec2 vUv;
+            void main() {
+                vec2 p = vUv * 2.0 - 1.0;
+                float r2 = dot(p, p);
+                if (r2 > 1.0) discard;
+                vec3 normal = vec3(p, sqrt(1.0 - r2));
+                float light = smoothstep(-0.05, 0.15, dot(normal, sunDirection));
+                vec3 surface = texture2D(map, vUv).rgb;
+                vec3 color = surface * (0.04 + light);
+                float edge = 1.0 - smoothstep(0.96, 1.0, r2);
+                gl_FragColor = vec4(color, opacity * edge * max(light, 0.15));
+                #include <colorspace_fragment>
+            }`,
+        transparent: true,
+        depthWrite: false,
+        fog: false,
+    });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(MOON_SIZE, MOON_SIZE), material);
+    mesh.frustumCulled = false;
+    return mesh;
+}
+
+/**
+ * Generates a mottled gray texture for the moon's seas and highlands.
+ * @param {number} size - Width and height in pixels.
+ * @returns {THREE.DataTexture}
+ */
+function createMoonTexture(size) {
+    const noise = createValueNoise(STAR_SEED);
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const value = fractalNoise(noise, x / size * 6, y / size * 6, { octaves: 5, persistence: 0.5 });
+            const shade = Math.round(255 * THREE.MathUtils.clamp(0.55 + (value - 0.5) * 1.4, 0.4, 0.95));
+            const index = (y * size + x) * 4;
+            data[index] = shade;
+            data[index + 1] = shade;
+            data[index + 2] = Math.min(255, shade + 6);
+            data[index + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.needsUpdate = true;
+    return texture;
+}
@@ -0,0 +1,83 @@
+/**
+ * Seeded value noise for procedural textures and terrain features. The noise
+ * is a pure function of position and seed, so anything built from it matches
+ * up across chunk edges. An optional period makes it tile.
+ */
+
+/**
+ * Creates a 2D value noise function.
+ * @param {number} seed - Unsigned 32-bit seed.
+ * @returns {function(number, number, number=): number} noise(x, y, period) in [0, 1],
+ *          with lattice points at integer coordinates and wrapping every `period` units if given.
+ */
+export function createValueNoise(seed) {
+    return function (x, y, period = 0) {
+        const x0 = Math.floor(x), y0 = Math.floor(y);
+        const fx = fade(x - x0), fy = fade(y - y0);
+        const at = (i, j) => period ? latticeValue(mod(i, period), mod(j, period), seed) : latticeValue(i, j, seed);
+        const top = lerp(at(x0, y0), at(x0 + 1, y0), fx);
+        const bottom = lerp(at(x0, y0 + 1), at(x0 + 1, y0 + 1), fx);
+        return lerp(top, bottom, fy);
+    };
+}
+
+/**
+ * Sums several octaves of a noise function, each at twice the frequency and
+ * `persistence` times the amplitude of the last.
+ * @param {function(number, number, number=): number} noise - From createValueNoise().
+ * @param {number} x - Position in units of the first octave's lattice.
+ * @param {number} y - Position in units of the first octave's lattice.
+ * @param {Object} [options]
+ * @param {number} [options.octaves] - Number of octaves.
+ * @param {number} [options.persistence] - Amplitude falloff per octave.
+ * @param {number} [options.period] - Tiling period of the first octave, or 0 to not tile.
+ * @returns {number} Value in [0, 1].
+ */
+export function fractalNoise(noise, x, y, { octaves = 4, persistence = 0.5, period = 0 } = {}) {
+    let value = 0, amplitude = 1, total = 0, frequency = 1;
+    for (let octave = 0; octave < octaves; octave++) {
+        value += amplitude * noise(x * frequency + octave * 17.31, y * frequency + octave * 31.17, period * frequency);
+        total += amplitude;
+        amplitude *= persistence;
+        frequency *= 2;
+    }
+    return value / total;
+}
+
+/**
+ * Random value in [0, 1) for an integer lattice point.
+ * @param {number} i - Integer x.
+ * @param {number} j - Integer y.
+ * @param {number} seed - Unsigned 32-bit seed.
+ * @returns {number}
+ */
+function latticeValue(i, j, seed) {
+    let hash = Math.imul(i, 0x27D4EB2D) ^ Math.imul(j, 0x165667B1) ^ seed;
+    hash = Math.imul(hash ^ (hash >>> 15), 0x85EBCA6B);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+    return ((hash ^ (hash >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Smoothstep-style easing so the noise has no creases at lattice lines.
+ * @param {number} t - Value in [0, 1].
+ * @returns {number}
+ */
+function fade(t) { return t * t * (3 - 2 * t); }
+
+/**
+ * Linear interpolation.
+ * @param {number} a - Start.
+ * @param {number} b - End.
+ * @param {number} t - Amount.
+ * @returns {number}
+ */
+function lerp(a, b, t) { return a + (b - a) * t; }
+
+/**
+ * Modulo that is never negative.
+ * @param {number} n - Dividend.
+ * @param {number} m - Divisor.
+ * @returns {number}
+ */
+function mod(n, m) { return ((n % m) + m) % m; }
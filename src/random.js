@@ -0,0 +1,63 @@
+/**
+ * Seeded pseudo-random numbers so procedural content can be reproduced.
+ * Seeds are unsigned 32-bit integers; hashSeed() derives independent seeds for
+ * things like individual terrain chunks from a world seed and coordinates.
+ */
+
+/**
+ * Creates a seeded random number generator (mulberry32).
+ * @param {number} seed - Unsigned 32-bit seed.
+ * @returns {function(): number} Function returning numbers in [0, 1) like Math.random().
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hashes any number of values (numbers or strings) into a 32-bit seed.
+ * @param {...any} values - Values to combine, e.g. a world seed and chunk coordinates.
+ * @returns {number} Unsigned 32-bit seed.
+ */
+export function hashSeed(...values) {
+    let hash = 0x811C9DC5;
+    for (const value of values) {
+        const text = String(value);
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        hash = Math.imul(hash ^ 0x2C, 0x01000193); // separator so (1, 23) differs from (12, 3)
+    }
+    // Final avalanche so nearby inputs give unrelated seeds
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Turns user-supplied text into a seed. Plain non-negative integers are used
+ * as-is so they round-trip through the UI; anything else is hashed.
+ * @param {string} text - Seed text, e.g. from the URL.
+ * @returns {number} Unsigned 32-bit seed.
+ */
+export function parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (/^\d+$/.test(trimmed) && Number(trimmed) <= 0xFFFFFFFF) {
+        return Number(trimmed);
+    }
+    return hashSeed(trimmed);
+}
+
+/**
+ * Picks a fresh random seed.
+ * @returns {number} Unsigned 32-bit seed.
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,95 @@
+/**
+ * States of other players' aircraft as they arrive from the multiplayer
+ * relay, and where a remote aircraft is between them. Kept apart from the
+ * connection and the models in multiplayer.js so it depends on nothing but
+ * three.js.
+ */
+
+import * as THREE from 'three';
+
+const MAX_EXTRAPOLATION = 1; // seconds past the latest state before a remote aircraft stops
+
+/**
+ * Reads a state message from another player. Messages come from other
+ * clients by way of the relay, so nothing in them is trusted: a state without
+ * a usable time, position or orientation is dropped, and missing or bad
+ * velocity, throttle, controls and gear fall back to harmless values.
+ * @param {Object} message - State message from the relay.
+ * @returns {Object|null} A sample for sampleRemote(), or null if the state is unusable.
+ */
+export function parseRemoteState(message) {
+    if (!Number.isFinite(message.t) || !isVector(message.position, 3) || !isVector(message.quaternion, 4)) {
+        return null;
+    }
+    const quaternion = new THREE.Quaternion().fromArray(message.quaternion);
+    if (quaternion.length() === 0) { return null; }
+    const controls = message.controls && typeof message.controls === 'object' ? message.controls : {};
+    return {
+        t: message.t,
+        position: new THREE.Vector3().fromArray(message.position),
+        quaternion: quaternion.normalize(),
+        velocity: isVector(message.velocity, 3) ? new THREE.Vector3().fromArray(message.velocity) : new THREE.Vector3(),
+        throttle: number(message.throttle, 0, 0, 1),
+        controls: {
+            pitch: number(controls.pitch, 0, -1, 1),
+            roll: number(controls.roll, 0, -1, 1),
+            yaw: number(controls.yaw, 0, -1, 1),
+        },
+        gear: number(message.gear, 1, 0, 1),
+    };
+}
+
+/**
+ * Where a remote aircraft was at a time: interpolated between the states
+ * either side, or extrapolated from the last one along its velocity.
+ * @param {Array<Object>} samples - States in time order, with t in seconds,
+ *        position, quaternion and velocity as three.js objects, throttle,
+ *        controls and gear.
+ * @param {number} time - Time on the sender's clock, in seconds.
+ * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion, throttle: number, controls: Object, gear: number}}
+ */
+export function sampleRemote(samples, time) {
+    const last = samples[samples.length - 1];
+    if (time >= last.t) {
+        const ahead = Math.min(time - last.t, MAX_EXTRAPOLATION);
+        return { ...last, position: last.position.clone().addScaledVector(last.velocity, ahead) };
+    }
+    const index = samples.findIndex(sample => sample.t > time);
+    if (index === 0) { return samples[0]; }
+    const before = samples[index - 1];
+    const after = samples[index];
+    const f = (time - before.t) / (after.t - before.t);
+    return {
+        position: before.position.clone().lerp(after.position, f),
+        quaternion: before.quaternion.clone().slerp(after.quaternion, f),
+        throttle: THREE.MathUtils.lerp(before.throttle, after.throttle, f),
+        controls: {
+            pitch: THREE.MathUtils.lerp(before.controls.pitch, after.controls.pitch, f),
+            roll: THREE.MathUtils.lerp(before.controls.roll, after.controls.roll, f),
+            yaw: THREE.MathUtils.lerp(before.controls.yaw, after.controls.yaw, f),
+        },
+        gear: THREE.MathUtils.lerp(before.gear, after.gear, f),
+    };
+}
+
+/**
+ * Whether a value is an array of a number of finite numbers.
+ * @param {*} value - Value to check.
+ * @param {number} length - Expected length.
+ * @returns {boolean}
+ */
+function isVector(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
+
+/**
+ * A number from a message, clamped to a range.
+ * @param {*} value - Value from the message.
+ * @param {number} fallback - Used when the value isn't a finite number.
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @returns {number}
+ */
+function number(value, fallback, min, max) {
+    return Number.isFinite(value) ? THREE.MathUtils.clamp(value, min, max) : fallback;
+}
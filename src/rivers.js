@@ -0,0 +1,60 @@
+/**
+ * Carves river channels into terrain chunks. Rivers follow the lines where a
+ * seeded world-space noise field crosses its midpoint, and a second, broader
+ * noise field decides where rivers exist at all. Carving only ever lowers the
+ * ground to a surface that depends on world position alone, so it gives the
+ * same result on both sides of a chunk edge and carving twice changes nothing.
+ */
+
+import { createValueNoise, fractalNoise } from './noise.js';
+import { hashSeed } from './random.js';
+
+const RIVER_SCALE = 5000; // meters per lattice cell of the river noise
+const REGION_SCALE = 20000; // meters per lattice cell of the noise deciding where rivers are
+const RIVER_HALF_WIDTH = 40; // meters
+const RIVER_DEPTH = 4; // meters below sea level
+const BANK_SLOPE = 0.2; // rise of the valley sides, meters per meter
+
+/**
+ * Lowers a chunk's heights along the rivers that cross it.
+ * @param {Array} terrain - Height-map rows from generateTerrain(), modified in place.
+ * @param {Object} options
+ * @param {number} options.originX - World x of row/column index 0.
+ * @param {number} options.originZ - World z of row/column index 0.
+ * @param {number} options.spacing - Distance between samples in meters. Columns
+ *                                   run towards -x and rows towards -z.
+ * @param {number} options.seaLevel - Sea level in height-map units.
+ * @param {number} options.seed - World seed.
+ * @returns {Array} The same terrain.
+ */
+export function carveRivers(terrain, { originX, originZ, spacing, seaLevel, seed }) {
+    const riverNoise = createValueNoise(hashSeed(seed, 'rivers'));
+    const regionNoise = createValueNoise(hashSeed(seed, 'river-regions'));
+    for (let i = 0; i < terrain.length; i++) {
+        for (let j = 0; j < terrain[i].length; j++) {
+            const surface = riverSurface(originX - j * spacing, originZ - i * spacing, seaLevel, riverNoise, regionNoise);
+            if (surface < terrain[i][j]) { terrain[i][j] = surface; }
+        }
+    }
+    return terrain;
+}
+
+/**
+ * Height of the river valley at a world position: the river bed at the
+ * centerline, rising along the valley sides.
+ * @param {number} x - World x.
+ * @param {number} z - World z.
+ * @param {number} seaLevel - Sea level in height-map units.
+ * @param {function} riverNoise - Noise whose midpoint lines are the rivers.
+ * @param {function} regionNoise - Noise deciding where rivers flow.
+ * @returns {number} Height in height-map units, Infinity where there's no river.
+ */
+function riverSurface(x, z, seaLevel, riverNoise, regionNoise) {
+    const region = fractalNoise(regionNoise, x / REGION_SCALE, z / REGION_SCALE, { octaves: 2 });
+    const strength = Math.min(1, Math.max(0, (region - 0.45) / 0.15));
+    if (strength <= 0) { return Infinity; }
+    // Distance from the centerline, treating the noise gradient as roughly one per lattice cell
+    const distance = Math.abs(fractalNoise(riverNoise, x / RIVER_SCALE, z / RIVER_SCALE, { octaves: 3 }) - 0.5) * RIVER_SCALE;
+    const halfWidth = RIVER_HALF_WIDTH * strength;
+    return seaLevel - RIVER_DEPTH * strength + Math.max(0, distance - halfWidth) * BANK_SLOPE / strength;
+}
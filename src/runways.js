@@ -0,0 +1,304 @@
+/**
+ * Airports for the procedural world. Whether a terrain chunk has a runway, and
+ * where, is a pure function of the world seed and the chunk's coordinates, so
+ * runways can be listed for navigation before their terrain exists. Runways
+ * sit well inside their chunk so flattening the ground under them never
+ * changes a chunk edge.
+ */
+
+import * as THREE from 'three';
+import { createRandom, hashSeed } from './random.js';
+
+export const RUNWAY_LENGTH = 1000; // meters
+export const RUNWAY_WIDTH = 30; // meters
+export const RUNWAY_APRON = 50; // meters of flat ground around the runway
+const RUNWAY_CHANCE = 0.08; // per chunk, besides the spawn chunk
+const SHOULDER = 250; // meters over which the ground blends back into the terrain
+const MIN_ELEVATION = 3; // meters above sea level
+const LIGHT_SPACING = 60; // meters
+const MARKING_PIXELS_PER_METER = 2;
+
+/**
+ * Decides whether a chunk has a runway and lays it out.
+ * @param {number} seed - World seed.
+ * @param {number} x - Chunk x position.
+ * @param {number} y - Chunk y position.
+ * @param {Object} options
+ * @param {number} options.squareSize - Chunk size in meters.
+ * @param {number} options.elevation - Ground height to flatten the runway to, world meters.
+ * @param {number} options.seaLevel - World height of sea level.
+ * @param {boolean} [options.always] - Always place a runway, e.g. for the spawn chunk.
+ * @returns {Object|null} The runway: id, name, world center (x, z), elevation,
+ *          heading (radians clockwise from north, -z), length and width; or null.
+ */
+export function runwayForChunk(seed, x, y, { squareSize, elevation, seaLevel, always = false }) {
+    const random = createRandom(hashSeed(seed, 'runway', x, y));
+    if (random() > RUNWAY_CHANCE && !always) { return null; }
+    const slack = squareSize / 2 - (RUNWAY_LENGTH / 2 + RUNWAY_APRON + SHOULDER);
+    const heading = random() * Math.PI;
+    const number = Math.round(THREE.MathUtils.radToDeg(heading) / 10) || 36;
+    const opposite = number > 18 ? number - 18 : number + 18;
+    return {
+        id: `${x},${y}`,
+        name: `RWY ${pad(number)}/${pad(opposite)}`,
+        number,
+        opposite,
+        x: x * squareSize + (random() * 2 - 1) * slack,
+        z: y * squareSize + (random() * 2 - 1) * slack,
+        elevation: Math.max(elevation, seaLevel + MIN_ELEVATION),
+        heading,
+        length: RUNWAY_LENGTH,
+        width: RUNWAY_WIDTH,
+    };
+}
+
+/**
+ * Flattens the ground under runways, blending back into the terrain around
+ * them. Runs after generateTerrain() and carveRivers(); the chunk's edges stay
+ * as the seeded edge constraints made them, so neighbors still meet whichever
+ * was generated first.
+ * @param {Array} terrain - Height-map rows, modified in place.
+ * @param {Object} options
+ * @param {Array} options.runways - Runways from runwayForChunk().
+ * @param {number} options.originX - World x of row/column index 0.
+ * @param {number} options.originZ - World z of row/column index 0.
+ * @param {number} options.spacing - Distance between samples in meters. Columns
+ *                                   run towards -x and rows towards -z.
+ * @param {number} options.heightOffset - World height of a height-map value of 0.
+ * @returns {Array} The same terrain.
+ */
+export function flattenRunways(terrain, { runways, originX, originZ, spacing, heightOffset }) {
+    for (const runway of runways) {
+        const level = runway.elevation - heightOffset;
+        for (let i = 0; i < terrain.length; i++) {
+            for (let j = 0; j < terrain[i].length; j++) {
+                const { along, across } = runwayCoordinates(runway, originX - j * spacing, originZ - i * spacing);
+                const outside = Math.hypot(
+                    Math.max(0, Math.abs(along) - runway.length / 2 - RUNWAY_APRON),
+                    Math.max(0, Math.abs(across) - runway.width / 2 - RUNWAY_APRON),
+                );
+                const weight = 1 - THREE.MathUtils.smoothstep(outside, 0, SHOULDER);
+                terrain[i][j] = THREE.MathUtils.lerp(terrain[i][j], level, weight);
+            }
+        }
+    }
+    return terrain;
+}
+
+/**
+ * Where to start a flight from a runway: at its threshold, lined up with it.
+ * @param {Object} runway - Runway from runwayForChunk().
+ * @param {number} height - Height of the aircraft's origin above the runway.
+ * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion, speed: number, throttle: number}}
+ *          Options for createFlightState().
+ */
+export function runwaySpawn(runway, height) {
+    const direction = runwayDirection(runway);
+    return {
+        position: new THREE.Vector3(runway.x, runway.elevation + height, runway.z)
+            .addScaledVector(direction, -runway.length / 2 + 20),
+        quaternion: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -runway.heading),
+        speed: 0,
+        throttle: 0,
+    };
+}
+
+/**
+ * A spot beside the middle of a runway for a control tower view.
+ * @param {Object} runway - Runway from runwayForChunk().
+ * @param {number} [distance] - Meters to the side of the centerline.
+ * @param {number} [height] - Meters above the runway.
+ * @returns {THREE.Vector3}
+ */
+export function runwayTowerPosition(runway, distance = 150, height = 30) {
+    const across = new THREE.Vector3(Math.cos(runway.heading), 0, Math.sin(runway.heading));
+    return new THREE.Vector3(runway.x, runway.elevation + height, runway.z).addScaledVector(across, distance);
+}
+
+/**
+ * A world position given relative to a runway.
+ * @param {Object} runway - Runway from runwayForChunk().
+ * @param {number} along - Meters from the runway's center in its heading direction.
+ * @param {number} across - Meters to the right of the centerline.
+ * @returns {{x: number, z: number}}
+ */
+export function runwayPoint(runway, along, across) {
+    const sin = Math.sin(runway.heading), cos = Math.cos(runway.heading);
+    return { x: runway.x + along * sin + across * cos, z: runway.z - along * cos + across * sin };
+}
+
+/**
+ * Whether a position is on a runway's surface, seen from above.
+ * @param {Object} runway - Runway from runwayForChunk().
+ * @param {{x: number, z: number}} position - World position.
+ * @param {number} [margin] - Meters around the runway that count as on it.
+ * @returns {boolean}
+ */
+export function isOnRunway(runway, position, margin = 0) {
+    const { along, across } = runwayCoordinates(runway, position.x, position.z);
+    return Math.abs(along) <= runway.length / 2 + margin && Math.abs(across) <= runway.width / 2 + margin;
+}
+
+/**
+ * Finds the closest runway to a position.
+ * @param {Array} runways - Runways to search.
+ * @param {THREE.Vector3} position - World position.
+ * @returns {{runway: Object, distance: number, bearing: number}|null} The runway,
+ *          horizontal distance in meters and bearing in degrees, or null if there are none.
+ */
+export function nearestRunway(runways, position) {
+    let best = null;
+    for (const runway of runways) {
+        const distance = Math.hypot(runway.x - position.x, runway.z - position.z);
+        if (!best || distance < best.distance) {
+            const bearing = THREE.MathUtils.euclideanModulo(
+                THREE.MathUtils.radToDeg(Math.atan2(runway.x - position.x, position.z - runway.z)), 360);
+            best = { runway, distance, bearing };
+        }
+    }
+    return best;
+}
+
+/**
+ * Builds the runway surface with its markings, edge lights and threshold lights.
+ * @param {Object} runway - Runway from runwayForChunk().
+ * @returns {THREE.Group} Group positioned in world coordinates.
+ */
+export function createRunwayMesh(runway) {
+    const group = new THREE.Group();
+    group.position.set(runway.x, runway.elevation, runway.z);
+    group.rotation.y = -runway.heading;
+
+    const surface = new THREE.Mesh(
+        new THREE.PlaneGeometry(runway.width, runway.length).rotateX(-Math.PI / 2),
+        new THREE.MeshStandardMaterial({
+            map: createMarkingsTexture(runway),
+            roughness: 0.9,
+            polygonOffset: true,
+            polygonOffsetFactor: -2,
+            polygonOffsetUnits: -2,
+        }),
+    );
+    surface.position.y = 0.05;
+    surface.receiveShadow = true;
+    group.add(surface);
+
+    // Lights: white along the edges, green at the start and red at the far end
+    const edgeCount = Math.floor(runway.length / LIGHT_SPACING) + 1;
+    const thresholdCount = 8;
+    const lightGeometry = new THREE.BoxGeometry(0.6, 0.4, 0.6);
+    const lights = new THREE.InstancedMesh(lightGeometry, new THREE.MeshBasicMaterial({ toneMapped: false }),
+        edgeCount * 2 + thresholdCount * 2);
+    const matrix = new THREE.Matrix4();
+    const colors = { edge: new THREE.Color(0xfff4d0), start: new THREE.Color(0x30ff60), end: new THREE.Color(0xff3030) };
+    let index = 0;
+    const addLight = (x, z, color) => {
+        lights.setMatrixAt(index, matrix.makeTranslation(x, 0.3, z));
+        lights.setColorAt(index++, color);
+    };
+    for (let i = 0; i < edgeCount; i++) {
+        const z = runway.length / 2 - i * LIGHT_SPACING;
+        addLight(-runway.width / 2 - 2, z, colors.edge);
+        addLight(runway.width / 2 + 2, z, colors.edge);
+    }
+    for (let i = 0; i < thresholdCount; i++) {
+        const x = (i / (thresholdCount - 1) - 0.5) * runway.width;
+        addLight(x, runway.length / 2 + 3, colors.start);
+        addLight(x, -runway.length / 2 - 3, colors.end);
+    }
+    group.add(lights);
+    return group;
+}
+
+/**
+ * Frees a runway's geometries, materials and textures.
+ * @param {THREE.Group} group - From createRunwayMesh().
+ * @returns {void}
+ */
+export function disposeRunwayMesh(group) {
+    group.traverse((child) => {
+        if (child.isMesh) {
+            if (child.isInstancedMesh) { child.dispose(); }
+            child.geometry.dispose();
+            if (child.material.map) { child.material.map.dispose(); }
+            child.material.dispose();
+        }
+    });
+}
+
+/**
+ * Unit vector pointing down the runway in its heading direction.
+ * @param {Object} runway - Runway from runwayForChunk().
+ * @returns {THREE.Vector3}
+ */
+function runwayDirection(runway) {
+    return new THREE.Vector3(Math.sin(runway.heading), 0, -Math.cos(runway.heading));
+}
+
+/**
+ * Position relative to a runway's center, along and across it.
+ * @param {Object} runway - Runway from runwayForChunk().
+ * @param {number} x - World x.
+ * @param {number} z - World z.
+ * @returns {{along: number, across: number}}
+ */
+function runwayCoordinates(runway, x, z) {
+    const dx = x - runway.x, dz = z - runway.z;
+    const sin = Math.sin(runway.heading), cos = Math.cos(runway.heading);
+    return { along: dx * sin - dz * cos, across: dx * cos + dz * sin };
+}
+
+/**
+ * Draws the runway markings: threshold stripes, designation numbers and a
+ * dashed centerline.
+ * @param {Object} runway - Runway from runwayForChunk().
+ * @returns {THREE.CanvasTexture}
+ */
+function createMarkingsTexture(runway) {
+    const canvas = document.createElement('canvas');
+    const scale = MARKING_PIXELS_PER_METER;
+    canvas.width = runway.width * scale;
+    canvas.height = runway.length * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#333333';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#f0f0f0';
+
+    const width = runway.width * scale, length = runway.length * scale;
+    // Dashed centerline
+    for (let y = 60 * scale; y < length - 60 * scale; y += 50 * scale) {
+        ctx.fillRect(width / 2 - 0.5 * scale, y, scale, 30 * scale);
+    }
+    // Threshold stripes, in two groups either side of the centerline, and
+    // numbers at both ends. The canvas top is the far end of the runway.
+    const stripes = 8, stripeWidth = width / (stripes * 2 + 1);
+    for (const [end, number] of [[length, runway.number], [0, runway.opposite]]) {
+        const flip = end === 0;
+        for (let i = 0; i < stripes; i++) {
+            const x = stripeWidth * (i * 2 + 0.5) + (i >= stripes / 2 ? stripeWidth : 0);
+            ctx.fillRect(x, flip ? 6 * scale : end - 36 * scale, stripeWidth, 30 * scale);
+        }
+        ctx.save();
+        ctx.translate(width / 2, flip ? 55 * scale : end - 55 * scale);
+        if (flip) { ctx.rotate(Math.PI); }
+        ctx.font = `bold ${16 * scale}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(pad(number), 0, 0);
+        ctx.restore();
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = 8;
+    return texture;
+}
+
+/**
+ * Formats a runway number with a leading zero.
+ * @param {number} number - Runway number, 1 to 36.
+ * @returns {string}
+ */
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
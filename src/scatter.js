@@ -0,0 +1,189 @@
+/**
+ * Procedural scattering of trees, rocks and small settlements on terrain
+ * chunks. Placement is a pure function of the chunk's heights and seed, so a
+ * chunk always gets the same objects; rendering uses one InstancedMesh per
+ * object part so thousands of objects cost only a handful of draw calls.
+ */
+
+import * as THREE from 'three';
+import { sampleBilinear } from './terrain-generation.js';
+import { createRandom } from './random.js';
+import { createValueNoise, fractalNoise } from './noise.js';
+import { isOnRunway, RUNWAY_APRON } from './runways.js';
+
+const TREE_SPACING = 25; // meters between tree candidates
+const ROCK_SPACING = 60; // meters between rock candidates
+const FOREST_SCALE = 1500; // meters per lattice cell of the forest noise
+const SETTLEMENT_ATTEMPTS = 4; // per chunk
+const SETTLEMENT_CHANCE = 0.35;
+const SETTLEMENT_RADIUS = 150; // meters
+const HOUSES_PER_SETTLEMENT = [4, 14];
+const RUNWAY_CLEARANCE = RUNWAY_APRON + 20; // meters around a runway kept free of objects
+
+/**
+ * Where each kind of object may grow, by height above sea level (meters) and
+ * slope (rise over run).
+ */
+const RULES = {
+    tree: { minHeight: 4, maxHeight: 140, maxSlope: 0.45 },
+    rock: { minHeight: 0, maxHeight: Infinity, maxSlope: Infinity },
+    house: { minHeight: 8, maxHeight: 80, maxSlope: 0.15 },
+};
+
+// Shared geometries and materials for every chunk's instances
+const PARTS = {
+    trunk: {
+        geometry: new THREE.CylinderGeometry(0.3, 0.4, 4, 5).translate(0, 2, 0),
+        material: new THREE.MeshStandardMaterial({ color: 0x5a3b1e, roughness: 1 }),
+    },
+    foliage: {
+        geometry: new THREE.ConeGeometry(2.5, 8, 6).translate(0, 8, 0),
+        material: new THREE.MeshStandardMaterial({ color: 0x2e5d2a, roughness: 1 }),
+    },
+    rock: {
+        geometry: new THREE.DodecahedronGeometry(1.5, 0),
+        material: new THREE.MeshStandardMaterial({ color: 0x6f6a64, roughness: 1, flatShading: true }),
+    },
+    walls: {
+        geometry: new THREE.BoxGeometry(8, 5, 10).translate(0, 2.5, 0),
+        material: new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.9 }),
+    },
+    roof: {
+        geometry: new THREE.ConeGeometry(7.5, 3, 4).rotateY(Math.PI / 4).scale(1, 1, 1.25).translate(0, 6.5, 0),
+        material: new THREE.MeshStandardMaterial({ color: 0x8c3b2a, roughness: 0.8 }),
+    },
+};
+const WALL_COLORS = [0xe8dcc4, 0xd9c7a7, 0xf2efe6, 0xc9b79c].map(color => new THREE.Color(color));
+
+/**
+ * Decides where objects go on a chunk.
+ * @param {Array} terrain - The chunk's height-map rows.
+ * @param {Object} options
+ * @param {number} options.originX - World x of row/column index 0.
+ * @param {number} options.originZ - World z of row/column index 0.
+ * @param {number} options.spacing - Distance between samples in meters. Columns
+ *                                   run towards -x and rows towards -z.
+ * @param {number} options.seaLevel - Sea level in height-map units.
+ * @param {number} options.heightOffset - World height of a height-map value of 0.
+ * @param {number} options.seed - Seed for this chunk.
+ * @param {Array} [options.runways] - Runways on the chunk, from runwayForChunk(),
+ *                                    kept clear along with their aprons.
+ * @returns {{trees: Array, rocks: Array, houses: Array}} Placements with world
+ *          position (x, y, z), rotation about y and scale.
+ */
+export function scatterChunk(terrain, { originX, originZ, spacing, seaLevel, heightOffset, seed, runways = [] }) {
+    const random = createRandom(seed);
+    const forestNoise = createValueNoise(seed);
+    const size = (terrain.length - 1) * spacing;
+    const placements = { trees: [], rocks: [], houses: [] };
+
+    // Height above sea level and slope at a world position, or null off the
+    // chunk or on a runway
+    const sample = (x, z) => {
+        const column = (originX - x) / spacing, row = (originZ - z) / spacing;
+        if (column < 0 || row < 0 || column > terrain.length - 1 || row > terrain.length - 1) { return null; }
+        if (runways.some(runway => isOnRunway(runway, { x, z }, RUNWAY_CLEARANCE))) { return null; }
+        const height = sampleBilinear(terrain, row, column);
+        const slope = Math.hypot(
+            sampleBilinear(terrain, row, column + 0.5) - sampleBilinear(terrain, row, column - 0.5),
+            sampleBilinear(terrain, row + 0.5, column) - sampleBilinear(terrain, row - 0.5, column),
+        ) / spacing;
+        return { height: height - seaLevel, slope, y: height + heightOffset };
+    };
+    const allowed = (ground, rule) => ground && ground.height >= rule.minHeight &&
+        ground.height <= rule.maxHeight && ground.slope <= rule.maxSlope;
+    const place = (list, x, z, ground, scale) => list.push({ x, y: ground.y, z, rotation: random() * Math.PI * 2, scale });
+
+    // Settlements first so trees can keep clear of them
+    for (let attempt = 0; attempt < SETTLEMENT_ATTEMPTS; attempt++) {
+        const centerX = originX - random() * size, centerZ = originZ - random() * size;
+        if (random() > SETTLEMENT_CHANCE || !allowed(sample(centerX, centerZ), RULES.house)) { continue; }
+        const count = HOUSES_PER_SETTLEMENT[0] + Math.floor(random() * (HOUSES_PER_SETTLEMENT[1] - HOUSES_PER_SETTLEMENT[0]));
+        for (let i = 0; i < count; i++) {
+            const angle = random() * Math.PI * 2, distance = Math.sqrt(random()) * SETTLEMENT_RADIUS;
+            const x = centerX + Math.cos(angle) * distance, z = centerZ + Math.sin(angle) * distance;
+            const ground = sample(x, z);
+            if (allowed(ground, RULES.house)) { place(placements.houses, x, z, ground, 0.8 + random() * 0.5); }
+        }
+    }
+    const nearHouse = (x, z) => placements.houses.some(house => Math.hypot(house.x - x, house.z - z) < 15);
+
+    // Trees on a jittered grid, thinned by a forest noise so they clump
+    for (let u = 0; u < size; u += TREE_SPACING) {
+        for (let v = 0; v < size; v += TREE_SPACING) {
+            const x = originX - u - random() * TREE_SPACING, z = originZ - v - random() * TREE_SPACING;
+            const ground = sample(x, z);
+            const forest = fractalNoise(forestNoise, x / FOREST_SCALE, z / FOREST_SCALE, { octaves: 3 });
+            if (random() < (forest - 0.45) * 4 && allowed(ground, RULES.tree) && !nearHouse(x, z)) {
+                place(placements.trees, x, z, ground, 0.7 + random() * 0.8);
+            }
+        }
+    }
+
+    // Rocks, more of them on steep and high ground
+    for (let u = 0; u < size; u += ROCK_SPACING) {
+        for (let v = 0; v < size; v += ROCK_SPACING) {
+            const x = originX - u - random() * ROCK_SPACING, z = originZ - v - random() * ROCK_SPACING;
+            const ground = sample(x, z);
+            if (allowed(ground, RULES.rock) && random() < 0.02 + ground.slope / 2 + ground.height / 1000) {
+                place(placements.rocks, x, z, ground, 0.5 + random() * 2);
+            }
+        }
+    }
+    return placements;
+}
+
+/**
+ * Builds the instanced meshes for a chunk's placements.
+ * @param {{trees: Array, rocks: Array, houses: Array}} placements - From scatterChunk().
+ * @returns {THREE.Group} Group holding the instanced meshes, in world coordinates.
+ */
+export function createScatterMeshes(placements) {
+    const group = new THREE.Group();
+    const matrix = new THREE.Matrix4();
+    const quaternion = new THREE.Quaternion();
+    const up = new THREE.Vector3(0, 1, 0);
+    const position = new THREE.Vector3();
+    const scale = new THREE.Vector3();
+
+    const addPart = (part, list, shape = () => scale.setScalar(1)) => {
+        if (list.length === 0) { return null; }
+        const mesh = new THREE.InstancedMesh(PARTS[part].geometry, PARTS[part].material, list.length);
+        list.forEach((item, index) => {
+            shape(item, index);
+            scale.multiplyScalar(item.scale);
+            quaternion.setFromAxisAngle(up, item.rotation);
+            matrix.compose(position.set(item.x, item.y, item.z), quaternion, scale);
+            mesh.setMatrixAt(index, matrix);
+        });
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.computeBoundingSphere();
+        group.add(mesh);
+        return mesh;
+    };
+
+    addPart('trunk', placements.trees);
+    addPart('foliage', placements.trees);
+    addPart('rock', placements.rocks, item => scale.set(1, 0.6 + (item.rotation % 0.4), 1.2));
+    const walls = addPart('walls', placements.houses);
+    addPart('roof', placements.houses);
+    if (walls) {
+        placements.houses.forEach((house, index) => {
+            walls.setColorAt(index, WALL_COLORS[Math.floor(house.rotation * 10) % WALL_COLORS.length]);
+        });
+    }
+    return group;
+}
+
+/**
+ * Frees a chunk's instanced meshes. The shared geometries and materials stay.
+ * @param {THREE.Group} group - From createScatterMeshes().
+ * @returns {void}
+ */
+export function disposeScatterMeshes(group) {
+    for (const mesh of group.children) {
+        mesh.dispose();
+    }
+    group.clear();
+}
@@ -0,0 +1,157 @@
+/**
+ * Cascaded shadow maps for the sun and moon. The cascades follow the camera,
+ * which follows the aircraft: a small, sharp cascade close in for the
+ * aircraft's own shadow and larger, coarser ones out to the terrain in the
+ * distance. The sun and moon lights stay the source of truth for direction,
+ * color and intensity; each frame the cascades copy whichever is brighter.
+ *
+ * Every lit material in the scene has to go through setupShadowMaterials(),
+ * otherwise it is lit once per cascade.
+ */
+
+import * as THREE from 'three';
+import { CSM } from 'three/examples/jsm/csm/CSM.js';
+
+/**
+ * Quality settings. Splits are where each cascade ends, as a fraction of
+ * maxFar; beyond maxFar there is light but no shadow.
+ */
+export const SHADOW_QUALITIES = {
+    low: { mapSize: 1024, maxFar: 3000, splits: [0.05, 1] },
+    medium: { mapSize: 2048, maxFar: 5000, splits: [0.01, 0.12, 1] },
+    high: { mapSize: 4096, maxFar: 8000, splits: [0.004, 0.04, 0.3, 1] },
+};
+export const DEFAULT_SHADOW_QUALITY = 'medium';
+
+const LIGHT_FAR = 20000; // meters, depth of each cascade's shadow camera
+const LIGHT_MARGIN = 2000; // meters behind each cascade for shadow casters such as mountains
+const SHADOW_BIAS = -0.0002;
+const NORMAL_BIAS = 0.5;
+
+let scene;
+let camera;
+let group;
+let csm;
+let quality = DEFAULT_SHADOW_QUALITY;
+const materials = new Set();
+
+/**
+ * Creates the shadow cascades.
+ * @param {THREE.Scene} sceneObject - Scene to light.
+ * @param {THREE.Camera} sceneCamera - Camera the cascades are fitted to.
+ * @param {string} [name] - A key of SHADOW_QUALITIES.
+ * @returns {void}
+ */
+export function initializeShadows(sceneObject, sceneCamera, name = DEFAULT_SHADOW_QUALITY) {
+    scene = sceneObject;
+    camera = sceneCamera;
+    group = new THREE.Group();
+    scene.add(group);
+    setShadowQuality(name);
+}
+
+/**
+ * @returns {string} The current shadow quality.
+ */
+export function getShadowQuality() {
+    return quality;
+}
+
+/**
+ * Rebuilds the cascades at a different quality.
+ * @param {string} name - A key of SHADOW_QUALITIES.
+ * @returns {void}
+ */
+export function setShadowQuality(name) {
+    const settings = SHADOW_QUALITIES[name];
+    if (!settings) { return; }
+    quality = name;
+    const previous = csm;
+    if (previous) {
+        previous.remove();
+        previous.dispose();
+    }
+    csm = new CSM({
+        camera,
+        parent: group,
+        cascades: settings.splits.length,
+        maxFar: settings.maxFar,
+        mode: 'custom',
+        customSplitsCallback: (amount, near, far, target) => target.push(...settings.splits),
+        shadowMapSize: settings.mapSize,
+        shadowBias: SHADOW_BIAS,
+        lightFar: LIGHT_FAR,
+        lightMargin: LIGHT_MARGIN,
+        lightDirection: previous ? previous.lightDirection : new THREE.Vector3(0, -1, 0),
+    });
+    for (const light of csm.lights) {
+        light.shadow.normalBias = NORMAL_BIAS;
+    }
+    for (const material of materials) {
+        csm.setupMaterial(material);
+        material.needsUpdate = true;
+    }
+}
+
+/**
+ * Lets the lit materials of an object and its children receive the cascades.
+ * @param {THREE.Object3D} object - Object to set up.
+ * @returns {void}
+ */
+export function setupShadowMaterials(object) {
+    object.traverse((child) => {
+        for (const material of litMaterials(child)) {
+            if (!materials.has(material)) {
+                materials.add(material);
+                csm.setupMaterial(material);
+            }
+        }
+    });
+}
+
+/**
+ * Forgets the materials of an object that is being disposed.
+ * @param {THREE.Object3D} object - Object whose materials are going away.
+ * @returns {void}
+ */
+export function releaseShadowMaterials(object) {
+    object.traverse((child) => {
+        for (const material of litMaterials(child)) {
+            materials.delete(material);
+            csm.shaders.delete(material);
+        }
+    });
+}
+
+/**
+ * Points the cascades along the brighter of the sun and moon and fits them to
+ * the camera. The brighter light is hidden so it isn't counted twice; the
+ * other keeps lighting the scene without shadows.
+ * @param {THREE.DirectionalLight} sunLight - The sun, positioned towards it.
+ * @param {THREE.DirectionalLight} moonLight - The moon, positioned towards it.
+ * @returns {void}
+ */
+export function updateShadows(sunLight, moonLight) {
+    const primary = sunLight.intensity >= moonLight.intensity ? sunLight : moonLight;
+    sunLight.visible = primary !== sunLight;
+    moonLight.visible = primary !== moonLight;
+    csm.lightDirection.copy(primary.position).normalize().negate();
+    for (const light of csm.lights) {
+        light.intensity = primary.intensity;
+        light.color.copy(primary.color);
+    }
+    camera.updateMatrixWorld();
+    csm.update();
+}
+
+/**
+ * The materials of an object that are affected by lights.
+ * @param {THREE.Object3D} object - Object to inspect.
+ * @returns {Array<THREE.Material>}
+ */
+function litMaterials(object) {
+    if (!object.isMesh) { return []; }
+    const list = Array.isArray(object.material) ? object.material : [object.material];
+    return list.filter(material => material.isMeshStandardMaterial || material.isMeshPhongMaterial ||
+        material.isMeshLambertMaterial);
+}
@@ -0,0 +1,135 @@
+/**
+ * Simulation clock: the date and time in the simulated world, where on Earth
+ * the world is, and how fast time passes. The day/night cycle reads the sun
+ * and moon positions from here.
+ */
+
+import { sunPosition, moonPosition, localSiderealTime } from './astronomy.js';
+
+export const TIME_SCALES = [1, 10, 60, 0]; // 0 is paused
+export const DEFAULT_LOCATION = { latitude: 37.6, longitude: -122.4 }; // degrees
+
+const clock = {
+    start: new Date(),
+    time: new Date(),
+    timeScale: TIME_SCALES[0],
+    latitude: DEFAULT_LOCATION.latitude,
+    longitude: DEFAULT_LOCATION.longitude,
+};
+
+/**
+ * Sets the starting date and place of the simulation.
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Starting date and time.
+ * @param {number} [options.latitude] - Degrees, north positive.
+ * @param {number} [options.longitude] - Degrees, east positive.
+ * @param {number} [options.timeScale] - Simulated seconds per real second.
+ * @returns {void}
+ */
+export function initializeSimClock({
+    date = new Date(),
+    latitude = DEFAULT_LOCATION.latitude,
+    longitude = DEFAULT_LOCATION.longitude,
+    timeScale = TIME_SCALES[0],
+} = {}) {
+    clock.start = new Date(date);
+    clock.time = new Date(date);
+    clock.latitude = latitude;
+    clock.longitude = longitude;
+    clock.timeScale = timeScale;
+}
+
+/**
+ * Moves the simulated time forward.
+ * @param {number} delta - Real seconds since the last frame.
+ * @returns {Date} The new simulated time.
+ */
+export function advanceSimClock(delta) {
+    clock.time = new Date(clock.time.getTime() + delta * clock.timeScale * 1000);
+    return clock.time;
+}
+
+/**
+ * Puts the clock back to its starting date and time. The time scale is kept.
+ * @returns {void}
+ */
+export function resetSimClock() {
+    clock.time = new Date(clock.start);
+}
+
+/**
+ * @returns {Date} The current simulated time.
+ */
+export function getSimTime() {
+    return clock.time;
+}
+
+/**
+ * Jumps to a simulated date and time, e.g. one from a recording.
+ * @param {Date} date - The new simulated time.
+ * @returns {void}
+ */
+export function setSimTime(date) {
+    clock.time = new Date(date);
+}
+
+/**
+ * Jumps to a time of day on the current simulated date, in zone time (see
+ * formatSimTime()).
+ * @param {number} hours - Hours since midnight, fractional.
+ * @returns {void}
+ */
+export function setTimeOfDay(hours) {
+    const zoned = new Date(clock.time.getTime() + zoneOffset() * 3600000);
+    zoned.setUTCHours(0, 0, 0, 0);
+    clock.time = new Date(zoned.getTime() + (hours - zoneOffset()) * 3600000);
+}
+
+/**
+ * @returns {number} Simulated seconds per real second, 0 when paused.
+ */
+export function getTimeScale() {
+    return clock.timeScale;
+}
+
+/**
+ * Switches to the next time scale in TIME_SCALES.
+ * @returns {number} The new time scale.
+ */
+export function cycleTimeScale() {
+    const index = TIME_SCALES.indexOf(clock.timeScale);
+    clock.timeScale = TIME_SCALES[(index + 1) % TIME_SCALES.length];
+    return clock.timeScale;
+}
+
+/**
+ * Where the sun, moon and stars are in the sky at the current simulated time.
+ * @returns {{sun: {elevation: number, azimuth: number}, moon: {elevation: number, azimuth: number},
+ *           siderealTime: number, latitude: number}} Sun and moon positions, plus the local
+ *          sidereal time (radians) and latitude (degrees) that orient the stars.
+ */
+export function getSkyPositions() {
+    return {
+        sun: sunPosition(clock.time, clock.latitude, clock.longitude),
+        moon: moonPosition(clock.time, clock.latitude, clock.longitude),
+        siderealTime: localSiderealTime(clock.time, clock.longitude),
+        latitude: clock.latitude,
+    };
+}
+
+/**
+ * Formats the simulated time for display in the zone time of the simulated
+ * longitude (UTC offset by whole hours, 15 degrees per hour).
+ * @returns {string} e.g. "2024-06-21 14:05"
+ */
+export function formatSimTime() {
+    const zoned = new Date(clock.time.getTime() + zoneOffset() * 3600000);
+    return zoned.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * @returns {number} Hours between zone time and UTC at the simulated longitude.
+ */
+function zoneOffset() {
+    return Math.round(clock.longitude / 15);
+}
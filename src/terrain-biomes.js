@@ -0,0 +1,106 @@
+/**
+ * Height- and slope-based terrain coloring. Each terrain vertex gets a biome
+ * color (seabed, sand, grass, rock or snow) and a small procedural detail
+ * texture, generated here rather than downloaded, adds texture up close.
+ */
+
+import * as THREE from 'three';
+import { createValueNoise, fractalNoise } from './noise.js';
+
+/**
+ * Biome bands, by height above sea level in meters. Colors blend over `blend`
+ * meters around each boundary.
+ */
+export const BIOMES = {
+    seabed: { color: new THREE.Color(0x5b5236) },
+    sand: { color: new THREE.Color(0xd8c690), top: 6, blend: 4 },
+    grass: { color: new THREE.Color(0x4f7d32), top: 150, blend: 30 },
+    rock: { color: new THREE.Color(0x77716a), top: 230, blend: 20 },
+    snow: { color: new THREE.Color(0xf4f6f8) },
+};
+const STEEP_SLOPE = 0.9; // vertical component of the normal below which rock shows through
+const CLIFF_SLOPE = 0.75; // vertical component of the normal at which it's all rock
+
+/**
+ * Computes the biome color of a point on the terrain.
+ * @param {number} height - Height above sea level in meters.
+ * @param {number} upness - Vertical component of the surface normal, 1 for flat ground.
+ * @param {THREE.Color} [target] - Color to write the result into.
+ * @returns {THREE.Color}
+ */
+export function biomeColor(height, upness, target = new THREE.Color()) {
+    const { seabed, sand, grass, rock, snow } = BIOMES;
+    if (height < 0) {
+        return target.lerpColors(seabed.color, sand.color, THREE.MathUtils.smoothstep(height, -sand.blend, 0));
+    }
+    target.lerpColors(sand.color, grass.color, band(height, sand));
+    target.lerp(rock.color, band(height, grass));
+    target.lerp(snow.color, band(height, rock));
+
+    // Steep ground is rocky whatever the height, except under the snow line
+    const steepness = 1 - THREE.MathUtils.smoothstep(upness, CLIFF_SLOPE, STEEP_SLOPE);
+    if (height > sand.top) { target.lerp(rock.color, steepness * (1 - band(height, rock))); }
+    return target;
+}
+
+/**
+ * Fills a terrain geometry's color attribute from its heights and normals.
+ * The geometry is a PlaneGeometry whose local z is the terrain height.
+ * @param {THREE.BufferGeometry} geometry - Geometry with computed vertex normals.
+ * @param {number} seaLevel - Height of sea level in the geometry's local z.
+ * @returns {void}
+ */
+export function colorTerrainGeometry(geometry, seaLevel) {
+    const positions = geometry.attributes.position;
+    const normals = geometry.attributes.normal;
+    const colors = geometry.attributes.color;
+    const color = new THREE.Color();
+    for (let i = 0; i < positions.count; i++) {
+        biomeColor(positions.getZ(i) - seaLevel, normals.getZ(i), color);
+        colors.setXYZ(i, color.r, color.g, color.b);
+    }
+    colors.needsUpdate = true;
+}
+
+/**
+ * Generates a tileable grayscale detail texture from layered value noise, to
+ * be multiplied over the vertex colors.
+ * @param {number} [size] - Width and height in pixels, a power of two.
+ * @param {number} [seed] - Seed for the noise.
+ * @returns {THREE.DataTexture}
+ */
+export function createDetailTexture(size = 256, seed = 1) {
+    const noise = createValueNoise(seed);
+    const data = new Uint8Array(size * size * 4);
+    const cells = 4;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const value = fractalNoise(noise, x / size * cells, y / size * cells, { octaves: 6, persistence: 0.6, period: cells });
+            // Keep the texture bright so it only darkens the vertex colors a little
+            const shade = Math.round(255 * (0.75 + 0.25 * value));
+            const index = (y * size + x) * 4;
+            data[index] = data[index + 1] = data[index + 2] = shade;
+            data[index + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * How far into the next biome a height is, 0 below the band's top and 1 past it.
+ * @param {number} height - Height above sea level.
+ * @param {{top: number, blend: number}} biome - The lower biome.
+ * @returns {number}
+ */
+function band(height, biome) {
+    return THREE.MathUtils.smoothstep(height, biome.top - biome.blend / 2, biome.top + biome.blend / 2);
+}
@@ -20,6 +20,8 @@
  *            (from extractRight() on an existing terrain)
  *     right - The right column of the terrain data to match to or null is not constrained
  *             (from extractLeft() on an existing terrain)
+ *     random - The random number generator to use, a function returning values in [0, 1)
+ *              (Math.random by default, or a seeded one for reproducible terrain)
  * 
  * Returns:
  *     A 2D array (array of arrays) that represents a height-map (i.e. each
@@ -27,7 +29,7 @@
  */
 export function generateTerrain(
     detail, roughness = 1,
-    {top = null, bottom = null, left = null, right = null} = {},
+    {top = null, bottom = null, left = null, right = null, random = Math.random} = {},
 ) {
     // The actual size of the data must be a power of two in each direction
     const size = Math.pow(2, detail) + 1;
@@ -37,10 +39,10 @@ export function generateTerrain(
 
     // Start with random values in the corners
     const scale = roughness*size / 2;
-    map[0][0] = top ? top[0] : right ? right[0] : rand(scale);
-    map[max][0] = bottom ? bottom[0] : right ? right[max] : rand(scale);
-    map[max][max] = bottom ? bottom[max] : left ? left[max] : rand(scale);
-    map[0][max] = top ? top[max] : left ? left[0] : rand(scale);
+    map[0][0] = top ? top[0] : right ? right[0] : rand(scale, random);
+    map[max][0] = bottom ? bottom[0] : right ? right[max] : rand(scale, random);
+    map[max][max] = bottom ? bottom[max] : left ? left[max] : rand(scale, random);
+    map[0][max] = top ? top[max] : left ? left[0] : rand(scale, random);
 
     // Recursively run square-diamond algorithm
     divide(max);
@@ -65,7 +67,7 @@ export function generateTerrain(
         for (let y = half; y < max; y += sz) {
             for (let x = half; x < max; x += sz) {
                 // can never have x = 0 or y = 0 here
-                map[x][y] = rand(scl) + square(x, y, half);
+                map[x][y] = rand(scl, random) + square(x, y, half);
             }
         }
 
@@ -75,7 +77,7 @@ export function generateTerrain(
                     (bottom && x === max) ? bottom[y] :
                         (left && y === max) ? left[x] :
                             (right && y === 0) ? right[x] :
-                                rand(scl) + diamond(x, y, half);
+                                rand(scl, random) + diamond(x, y, half);
             }
         }
 
@@ -97,6 +99,37 @@ export function generateTerrain(
     }
 }
 
+/**
+ * Generates a single terrain edge using 1D midpoint displacement between two
+ * fixed end heights. Two chunks that share an edge can both generate it from
+ * the same seed, so they match without either having to exist first.
+ * 
+ * Parameters:
+ *     detail - The log-base2 of the length of the returned edge (as for generateTerrain())
+ *     roughness - The roughness of the terrain
+ *     start - The height at index 0
+ *     end - The height at the last index
+ *     random - The random number generator to use, a function returning values in [0, 1)
+ * 
+ * Returns:
+ *     A Float32Array of heights that can be passed as a top, bottom, left, or
+ *     right constraint to generateTerrain().
+ */
+export function generateEdge(detail, roughness, start, end, random = Math.random) {
+    const size = Math.pow(2, detail) + 1;
+    const max = size - 1;
+    const edge = new Float32Array(size);
+    edge[0] = start;
+    edge[max] = end;
+    for (let sz = max; sz > 1; sz /= 2) {
+        const half = sz / 2;
+        for (let x = half; x < max; x += sz) {
+            edge[x] = rand(roughness * sz, random) + average(edge[x-half], edge[x+half]);
+        }
+    }
+    return edge;
+}
+
 /**
  * Extract the top row of the terrain data.
  * @param {Array} terrain - The terrain data
@@ -125,12 +158,31 @@ export function extractLeft(terrain) { return terrain.map(row => row[row.length
  */
 export function extractRight(terrain) { return terrain.map(row => row[0]); }
 
+/**
+ * Sample the terrain data between grid points using bilinear interpolation.
+ * Positions outside the grid are clamped to its edges.
+ * @param {Array} terrain - The terrain data
+ * @param {number} row - The fractional row index
+ * @param {number} column - The fractional column index
+ * @returns {number} The interpolated height
+ */
+export function sampleBilinear(terrain, row, column) {
+    const max = terrain.length - 1;
+    const r = Math.min(Math.max(row, 0), max), c = Math.min(Math.max(column, 0), max);
+    const r0 = Math.min(Math.floor(r), max - 1), c0 = Math.min(Math.floor(c), max - 1);
+    const fr = r - r0, fc = c - c0;
+    const top = terrain[r0][c0] * (1 - fc) + terrain[r0][c0+1] * fc;
+    const bottom = terrain[r0+1][c0] * (1 - fc) + terrain[r0+1][c0+1] * fc;
+    return top * (1 - fr) + bottom * fr;
+}
+
 /**
  * Generate a random number between -scale and scale
  * @param {number} scale - The scale of the random number
+ * @param {function(): number} [random] - The random number generator to use
  * @returns {number} The random number
  */
-function rand(scale) { return Math.random() * scale * 2 - scale; }
+function rand(scale, random = Math.random) { return random() * scale * 2 - scale; }
 
 /**
  * Remove undefined values from the array
@@ -0,0 +1,18 @@
+/**
+ * Web Worker that runs generateTerrain() off the main thread. Receives a job
+ * from terrain-workers.js and sends back the rows of the height-map, moving
+ * (not copying) their buffers.
+ */
+
+import { generateTerrain } from './terrain-generation.js';
+import { createRandom } from './random.js';
+import { carveRivers } from './rivers.js';
+import { flattenRunways } from './runways.js';
+
+self.onmessage = (event) => {
+    const { id, detail, roughness, edges, seed, rivers, runways } = event.data;
+    const rows = generateTerrain(detail, roughness, { ...edges, random: createRandom(seed) });
+    if (rivers) { carveRivers(rows, rivers); }
+    if (runways) { flattenRunways(rows, runways); }
+    self.postMessage({ id, rows }, rows.map(row => row.buffer));
+};
@@ -0,0 +1,137 @@
+/**
+ * Pool of Web Workers that generate terrain chunks. Requests wait in a queue
+ * and whenever a worker frees up the request with the lowest priority value is
+ * sent next, so priorities can change while requests wait (e.g. as the
+ * aircraft moves). If workers aren't available the terrain is generated on the
+ * main thread instead.
+ */
+
+import { generateTerrain } from './terrain-generation.js';
+import { createRandom } from './random.js';
+import { carveRivers } from './rivers.js';
+import { flattenRunways } from './runways.js';
+
+const MAX_WORKERS = 4;
+
+const workers = [];
+const idleWorkers = [];
+const queue = [];
+const running = new Map();
+let nextId = 0;
+
+/**
+ * Starts the worker pool.
+ * @param {number} [count] - Number of workers, by default one less than the number of cores.
+ * @returns {void}
+ */
+export function initializeTerrainWorkers(count = Math.min(MAX_WORKERS, Math.max(1, (navigator.hardwareConcurrency || 2) - 1))) {
+    if (typeof Worker === 'undefined') { return; }
+    for (let i = 0; i < count; i++) {
+        let worker;
+        try {
+            worker = new Worker(new URL('./terrain-worker.js', import.meta.url), { type: 'module' });
+        } catch {
+            break; // Fall back to generating on the main thread
+        }
+        worker.onmessage = (event) => finish(worker, event.data.id, event.data.rows);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            const [id, request] = [...running].find(([, entry]) => entry.worker === worker) || [];
+            if (request) {
+                // Retry on the main thread so the chunk still appears
+                finish(worker, id, runJob(request.job));
+            }
+        };
+        workers.push(worker);
+        idleWorkers.push(worker);
+    }
+}
+
+/**
+ * Requests a terrain chunk.
+ * @param {{detail: number, roughness: number, edges: Object, seed: number, rivers: Object, runways: Object}} job
+ *        Arguments for generateTerrain(): the edge constraints and the seed for its random
+ *        numbers, plus the options for carveRivers() and flattenRunways(), or null to skip them.
+ * @param {function(): number} [priority] - Evaluated when a worker frees up, lowest goes first.
+ * @returns {Promise<Array|null>} The height-map rows, or null if the request was cancelled.
+ */
+export function requestTerrain(job, priority = () => 0) {
+    return new Promise((resolve) => {
+        queue.push({ id: nextId++, job, priority, resolve });
+        dispatch();
+    });
+}
+
+/**
+ * Drops every request still waiting in the queue; their promises resolve to null.
+ * Chunks already being generated still finish.
+ * @returns {void}
+ */
+export function cancelTerrainRequests() {
+    for (const request of queue.splice(0)) {
+        request.resolve(null);
+    }
+}
+
+/**
+ * Sends waiting requests to idle workers, highest priority first.
+ */
+function dispatch() {
+    if (workers.length === 0) {
+        // No workers: generate one chunk per task so the frame isn't blocked by all of them
+        if (queue.length > 0 && running.size === 0) {
+            const request = takeNext();
+            running.set(request.id, request);
+            setTimeout(() => finish(null, request.id, runJob(request.job)), 0);
+        }
+        return;
+    }
+    while (idleWorkers.length > 0 && queue.length > 0) {
+        const request = takeNext();
+        const worker = idleWorkers.pop();
+        running.set(request.id, { ...request, worker });
+        worker.postMessage({ id: request.id, ...request.job });
+    }
+}
+
+/**
+ * Removes and returns the queued request with the lowest priority value.
+ * @returns {Object}
+ */
+function takeNext() {
+    let best = 0, bestPriority = Infinity;
+    queue.forEach((request, index) => {
+        const priority = request.priority();
+        if (priority < bestPriority) {
+            best = index;
+            bestPriority = priority;
+        }
+    });
+    return queue.splice(best, 1)[0];
+}
+
+/**
+ * Completes a request and hands its worker the next one.
+ * @param {Worker|null} worker - The worker that ran it, or null if it ran on the main thread.
+ * @param {number} id - Request id.
+ * @param {Array} rows - The generated height-map.
+ */
+function finish(worker, id, rows) {
+    const request = running.get(id);
+    running.delete(id);
+    if (worker) { idleWorkers.push(worker); }
+    if (request) { request.resolve(rows); }
+    dispatch();
+}
+
+/**
+ * Generates a chunk on the main thread.
+ * @param {Object} job - As for requestTerrain().
+ * @returns {Array}
+ */
+function runJob({ detail, roughness, edges, seed, rivers, runways }) {
+    const rows = generateTerrain(detail, roughness, { ...edges, random: createRandom(seed) });
+    if (rivers) { carveRivers(rows, rivers); }
+    if (runways) { flattenRunways(rows, runways); }
+    return rows;
+}
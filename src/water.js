@@ -0,0 +1,89 @@
+/**
+ * Animated water surface at sea level. Uses the Three.js Water mirror shader so
+ * it reflects the sky, with a wave normal map generated locally from noise.
+ */
+
+import * as THREE from 'three';
+import { Water } from 'three/examples/jsm/objects/Water.js';
+import { createValueNoise, fractalNoise } from './noise.js';
+
+const NORMAL_MAP_SIZE = 256;
+const WAVE_STRENGTH = 20;
+
+/**
+ * Creates the water surface.
+ * @param {number} size - Width and depth of the water plane in meters.
+ * @param {number} seed - Seed for the wave pattern.
+ * @returns {Water}
+ */
+export function createWater(size, seed) {
+    const water = new Water(new THREE.PlaneGeometry(size, size), {
+        textureWidth: 512,
+        textureHeight: 512,
+        waterNormals: createWaterNormals(NORMAL_MAP_SIZE, seed),
+        sunDirection: new THREE.Vector3(0, 1, 0),
+        sunColor: 0xffffff,
+        waterColor: 0x0e3d54,
+        distortionScale: 3.7,
+        fog: true,
+    });
+    water.rotation.x = -Math.PI / 2;
+    return water;
+}
+
+/**
+ * Animates the waves and points the sun glint at the sun.
+ * @param {Water} water - The water surface.
+ * @param {number} delta - Seconds since the last frame.
+ * @param {THREE.Vector3} sunPosition - Direction towards the sun.
+ * @returns {void}
+ */
+export function updateWater(water, delta, sunPosition) {
+    const uniforms = water.material.uniforms;
+    uniforms.time.value += delta;
+    uniforms.sunDirection.value.copy(sunPosition).normalize();
+}
+
+/**
+ * Generates a tileable wave normal map from noise heights.
+ * @param {number} size - Width and height in pixels.
+ * @param {number} seed - Seed for the noise.
+ * @returns {THREE.DataTexture}
+ */
+function createWaterNormals(size, seed) {
+    const noise = createValueNoise(seed);
+    const cells = 8;
+    const heights = new Float32Array(size * size);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            heights[y * size + x] = fractalNoise(noise, x / size * cells, y / size * cells, { octaves: 4, period: cells });
+        }
+    }
+
+    const data = new Uint8Array(size * size * 4);
+    const height = (x, y) => heights[((y + size) % size) * size + ((x + size) % size)];
+    const normal = new THREE.Vector3();
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            normal.set(
+                (height(x - 1, y) - height(x + 1, y)) * WAVE_STRENGTH,
+                (height(x, y - 1) - height(x, y + 1)) * WAVE_STRENGTH,
+                1,
+            ).normalize();
+            const index = (y * size + x) * 4;
+            data[index] = Math.round((normal.x * 0.5 + 0.5) * 255);
+            data[index + 1] = Math.round((normal.y * 0.5 + 0.5) * 255);
+            data[index + 2] = Math.round((normal.z * 0.5 + 0.5) * 255);
+            data[index + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+}
@@ -0,0 +1,319 @@
+/**
+ * Weather for the flight simulator. A preset (clear, overcast or storm) sets
+ * the cloud layers, fog, rain, sky shader and wind; switching presets tweens
+ * every value over time like the day cycle. Wind has seeded gusts and
+ * turbulence and is fed to the flight model so the weather moves the aircraft.
+ */
+
+import * as THREE from 'three';
+import * as TWEEN from 'three/examples/jsm/libs/tween.module.js';
+import { createValueNoise, fractalNoise } from './noise.js';
+import { hashSeed, createRandom } from './random.js';
+
+/**
+ * Weather presets. Cloud cover and darkness, rain and sun dimming are 0 to 1;
+ * visibility is the fog distance in meters; wind speed, gusts and turbulence
+ * are in m/s.
+ */
+export const WEATHER_PRESETS = {
+    clear: {
+        cloudCover: 0.2, cloudDarkness: 0, visibility: 5000, rain: 0, sunDimming: 0,
+        turbidity: 10, rayleigh: 1.2, mieCoefficient: 0.00005,
+        windSpeed: 3, gustStrength: 1, turbulence: 0.3,
+    },
+    overcast: {
+        cloudCover: 0.75, cloudDarkness: 0.35, visibility: 2500, rain: 0, sunDimming: 0.5,
+        turbidity: 14, rayleigh: 0.6, mieCoefficient: 0.005,
+        windSpeed: 8, gustStrength: 3, turbulence: 1,
+    },
+    storm: {
+        cloudCover: 0.95, cloudDarkness: 0.7, visibility: 900, rain: 1, sunDimming: 0.8,
+        turbidity: 20, rayleigh: 0.3, mieCoefficient: 0.02,
+        windSpeed: 15, gustStrength: 7, turbulence: 3,
+    },
+};
+export const DEFAULT_WEATHER = 'clear';
+
+const TRANSITION_DURATION = 20000; // milliseconds
+const CLOUD_LAYERS = [
+    { height: 1200, scale: 6000, drift: 1, cover: 1 },
+    { height: 2600, scale: 9000, drift: 0.6, cover: 0.8 },
+];
+const CLOUD_SIZE = 12000; // meters across each cloud layer
+const GUST_PERIOD = 8; // seconds per lattice cell of the gust noise
+const TURBULENCE_SCALE = 60; // meters per lattice cell of the turbulence noise
+const RAIN_DROPS = 4000;
+const RAIN_AREA = 120; // meters across the box of rain around the camera
+const RAIN_HEIGHT = 80; // meters
+const RAIN_SPEED = 9; // m/s
+const RAIN_STREAK = 0.04; // seconds of fall drawn as a streak
+
+const weather = { ...WEATHER_PRESETS[DEFAULT_WEATHER] };
+const tweens = new TWEEN.Group();
+let presetName = DEFAULT_WEATHER;
+let sky;
+let fog;
+let windDirection = 0; // radians clockwise from north that the wind blows from
+let windNoise;
+let time = 0;
+const clouds = [];
+let rain;
+
+/**
+ * Creates the cloud layers and rain and sets the starting weather.
+ * @param {THREE.Scene} scene - Scene to add the clouds and rain to. Its fog is
+ *                              driven by the weather.
+ * @param {Sky} skyObject - Sky whose shader uniforms are driven by the weather.
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Seed for the wind direction, gusts,
+ *                                  turbulence and cloud shapes.
+ * @param {string} [options.preset] - Starting preset, a key of WEATHER_PRESETS.
+ * @returns {void}
+ */
+export function initializeWeather(scene, skyObject, { seed = 1, preset = DEFAULT_WEATHER } = {}) {
+    sky = skyObject;
+    fog = scene.fog;
+    windDirection = createRandom(hashSeed(seed, 'wind direction'))() * Math.PI * 2;
+    windNoise = createValueNoise(hashSeed(seed, 'wind'));
+
+    const texture = createCloudTexture(256, hashSeed(seed, 'clouds'));
+    for (const layer of CLOUD_LAYERS) {
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(CLOUD_SIZE, CLOUD_SIZE).rotateX(-Math.PI / 2), createCloudMaterial(texture, layer));
+        mesh.position.y = layer.height;
+        mesh.renderOrder = 1;
+        mesh.userData.layer = layer;
+        clouds.push(mesh);
+        scene.add(mesh);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(RAIN_DROPS * 6), 3));
+    rain = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xaab4c0, transparent: true, opacity: 0.5 }));
+    rain.frustumCulled = false;
+    rain.userData.drops = Array.from({ length: RAIN_DROPS }, () => new THREE.Vector3(
+        (Math.random() - 0.5) * RAIN_AREA, Math.random() * RAIN_HEIGHT, (Math.random() - 0.5) * RAIN_AREA));
+    scene.add(rain);
+
+    setWeather(preset, 0);
+}
+
+/**
+ * @returns {string} The name of the current, or incoming, weather preset.
+ */
+export function getWeather() {
+    return presetName;
+}
+
+/**
+ * Changes the weather, tweening from the current conditions.
+ * @param {string} name - A key of WEATHER_PRESETS.
+ * @param {number} [duration] - Transition time in milliseconds, 0 to switch at once.
+ * @returns {void}
+ */
+export function setWeather(name, duration = TRANSITION_DURATION) {
+    const preset = WEATHER_PRESETS[name];
+    if (!preset) { return; }
+    presetName = name;
+    tweens.removeAll();
+    if (duration <= 0) {
+        Object.assign(weather, preset);
+        return;
+    }
+    new TWEEN.Tween(weather, tweens)
+        .to(preset, duration)
+        .easing(TWEEN.Easing.Quadratic.InOut)
+        .start();
+}
+
+/**
+ * Switches to the next weather preset.
+ * @returns {string} The new preset's name.
+ */
+export function cycleWeather() {
+    const names = Object.keys(WEATHER_PRESETS);
+    setWeather(names[(names.indexOf(presetName) + 1) % names.length]);
+    return presetName;
+}
+
+/**
+ * The wind at a position: the preset's steady wind plus gusts along it and
+ * turbulence in every direction.
+ * @param {THREE.Vector3} position - World position.
+ * @param {THREE.Vector3} [target] - Vector to write the result into.
+ * @returns {THREE.Vector3} Velocity of the air in m/s.
+ */
+export function getWind(position, target = new THREE.Vector3()) {
+    const gust = (fractalNoise(windNoise, time / GUST_PERIOD, 0.5, { octaves: 3 }) - 0.5) * 2 * weather.gustStrength;
+    const speed = Math.max(0, weather.windSpeed + gust);
+    // Blowing from windDirection, so towards the opposite bearing
+    target.set(-Math.sin(windDirection) * speed, 0, Math.cos(windDirection) * speed);
+
+    const x = position.x / TURBULENCE_SCALE + time * 0.3, z = position.z / TURBULENCE_SCALE;
+    const y = position.y / TURBULENCE_SCALE;
+    target.x += (windNoise(x, z + 101.3) - 0.5) * 2 * weather.turbulence;
+    target.y += (windNoise(x + y, z + 211.7) - 0.5) * 2 * weather.turbulence;
+    target.z += (windNoise(x, z + y + 307.9) - 0.5) * 2 * weather.turbulence;
+    return target;
+}
+
+/**
+ * Advances the weather and applies it to the scene. Call after the day cycle
+ * has set the lighting so the weather can dim it.
+ * @param {number} delta - Seconds since the last frame.
+ * @param {Object} view
+ * @param {THREE.Vector3} view.center - Where the clouds are centered, e.g. the aircraft.
+ * @param {THREE.Vector3} view.camera - Camera position, where rain falls.
+ * @param {number} view.daylight - Sun intensity from 0 at night to 1 at noon.
+ * @param {THREE.DirectionalLight} [view.sunLight] - Light to dim under cloud.
+ * @returns {void}
+ */
+export function updateWeather(delta, { center, camera, daylight, sunLight }) {
+    tweens.update();
+    time += delta;
+    const wind = getWind(center);
+
+    // Sky and fog
+    const uniforms = sky.material.uniforms;
+    uniforms.turbidity.value = weather.turbidity;
+    uniforms.rayleigh.value = weather.rayleigh;
+    uniforms.mieCoefficient.value = weather.mieCoefficient;
+    fog.far = weather.visibility;
+    fog.near = Math.min(fog.near, weather.visibility / 2);
+    fog.color.lerp(new THREE.Color(0x5a5e66).multiplyScalar(0.3 + 0.7 * daylight), weather.sunDimming * 0.6);
+    if (sunLight) { sunLight.intensity *= 1 - weather.sunDimming; }
+
+    // Clouds follow the view and drift with the wind
+    for (const mesh of clouds) {
+        const layer = mesh.userData.layer;
+        const cloudUniforms = mesh.material.uniforms;
+        mesh.position.x = center.x;
+        mesh.position.z = center.z;
+        cloudUniforms.offset.value.x -= wind.x * layer.drift * delta;
+        cloudUniforms.offset.value.y -= wind.z * layer.drift * delta;
+        cloudUniforms.center.value.set(center.x, center.z);
+        cloudUniforms.cover.value = weather.cloudCover * layer.cover;
+        cloudUniforms.darkness.value = weather.cloudDarkness;
+        cloudUniforms.brightness.value = daylight;
+    }
+    updateRain(delta, camera, wind);
+}
+
+/**
+ * Moves the rain drops around the camera, wrapping them inside the rain box.
+ * @param {number} delta - Seconds since the last frame.
+ * @param {THREE.Vector3} camera - Camera position.
+ * @param {THREE.Vector3} wind - Wind velocity.
+ * @returns {void}
+ */
+function updateRain(delta, camera, wind) {
+    const count = Math.round(weather.rain * RAIN_DROPS);
+    rain.visible = count > 0;
+    if (!rain.visible) { return; }
+    const positions = rain.geometry.attributes.position;
+    const fall = new THREE.Vector3(wind.x, -RAIN_SPEED, wind.z);
+    const wrap = (value, size) => THREE.MathUtils.euclideanModulo(value + size / 2, size) - size / 2;
+    for (let i = 0; i < count; i++) {
+        const drop = rain.userData.drops[i].addScaledVector(fall, delta);
+        drop.set(wrap(drop.x, RAIN_AREA), THREE.MathUtils.euclideanModulo(drop.y, RAIN_HEIGHT), wrap(drop.z, RAIN_AREA));
+        const x = camera.x + drop.x, y = camera.y + drop.y - RAIN_HEIGHT / 2, z = camera.z + drop.z;
+        positions.setXYZ(i * 2, x, y, z);
+        positions.setXYZ(i * 2 + 1, x - fall.x * RAIN_STREAK, y - fall.y * RAIN_STREAK, z - fall.z * RAIN_STREAK);
+    }
+    positions.needsUpdate = true;
+    rain.geometry.setDrawRange(0, count * 2);
+}
+
+/**
+ * Creates the material for a cloud layer. Cloud shapes come from a noise
+ * texture sampled in world space; cover sets how much of the noise shows,
+ * and the layer fades out towards its edges.
+ * @param {THREE.Texture} texture - From createCloudTexture().
+ * @param {{scale: number}} layer - Cloud layer settings.
+ * @returns {THREE.ShaderMaterial}
+ */
+function createCloudMaterial(texture, layer) {
+    return new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            map: { value: texture },
+            scale: { value: layer.scale },
+            offset: { value: new THREE.Vector2() },
+            center: { value: new THREE.Vector2() },
+            radius: { value: CLOUD_SIZE / 2 },
+            cover: { value: 0 },
+            darkness: { value: 0 },
+            brightness: { value: 1 },
+        }]),
+        vertexShader: /* glsl */`
+            varying vec2 vWorld;
+            #include <fog_pars_vertex>
+            void main() {
+                vec4 world = modelMatrix * vec4(position, 1.0);
+                vWorld = world.xz;
+                vec4 mvPosition = viewMatrix * world;
+                gl_Position = projectionMatrix * mvPosition;
+                #include <fog_vertex>
+            }`,
+        fragmentShader: /* glsl */`
+            uniform sampler2D map;
+            uniform float scale;
+            uniform vec2 offset;
+            uniform vec2 center;
+            uniform float radius;
+            uniform float cover;
+            uniform float darkness;
+            uniform float brightness;
+            varying vec2 vWorld;
+            #include <fog_pars_fragment>
+            void main() {
+                float density = texture2D(map, (vWorld + offset) / scale).r;
+                float alpha = smoothstep(1.0 - cover, 1.0 - cover + 0.25, density);
+                alpha *= 1.0 - smoothstep(radius * 0.6, radius, distance(vWorld, center));
+                vec3 color = mix(vec3(1.0), vec3(0.35, 0.37, 0.4), darkness) * mix(0.15, 1.0, brightness);
+                gl_FragColor = vec4(color, alpha * 0.95);
+                #include <colorspace_fragment>
+                #include <fog_fragment>
+            }`,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        fog: true,
+    });
+}
+
+/**
+ * Generates a tileable cloud density texture from layered value noise.
+ * @param {number} size - Width and height in pixels.
+ * @param {number} seed - Seed for the noise.
+ * @returns {THREE.DataTexture}
+ */
+function createCloudTexture(size, seed) {
+    const noise = createValueNoise(seed);
+    const values = new Float32Array(size * size);
+    const cells = 8;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            values[y * size + x] = fractalNoise(noise, x / size * cells, y / size * cells, { octaves: 5, persistence: 0.55, period: cells });
+        }
+    }
+
+    // Stretch to the full range so cloud cover maps evenly onto the sky
+    let min = Infinity, max = -Infinity;
+    for (const value of values) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    const data = new Uint8Array(size * size * 4);
+    values.forEach((value, i) => {
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = Math.round(255 * (value - min) / (max - min));
+        data[i * 4 + 3] = 255;
+    });
+
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+}
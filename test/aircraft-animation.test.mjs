@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { rigAircraft, animateAircraft } from '../src/aircraft-animation.js';
+
+/**
+ * A model made of named empty meshes.
+ * @param {...string} names - Mesh names.
+ * @returns {THREE.Group}
+ */
+function model(...names) {
+    const group = new THREE.Group();
+    for (const name of names) { group.add(Object.assign(new THREE.Mesh(), { name })); }
+    return group;
+}
+
+const PROPELLER = { role: 'propeller', meshes: ['propeller'], pivot: [0, 0, -2], axis: [0, 0, 1], radius: 1 };
+
+test('rigAircraft fails on parts the model does not have', () => {
+    assert.throws(() => rigAircraft(model('wing'), [PROPELLER]), /no mesh named "propeller"/);
+    assert.throws(() => rigAircraft(model('propeller'), [{ ...PROPELLER, meshes: [] }]), /names no meshes/);
+});
+
+test('the propeller disc only shows once the engine is above idle', () => {
+    const rig = rigAircraft(model('propeller'), [PROPELLER]);
+    const [propeller] = rig.propellers;
+    animateAircraft(rig, {}, 0, 10);
+    assert.equal(propeller.disc.visible, false);
+    assert.equal(propeller.pivot.visible, true);
+    animateAircraft(rig, {}, 1, 10);
+    assert.equal(propeller.disc.visible, true);
+    assert.equal(propeller.pivot.visible, false);
+});
+
+test('control surfaces deflect with their controls', () => {
+    const rig = rigAircraft(model('elevator'), [{ role: 'elevator', meshes: ['elevator'], axis: [-1, 0, 0], angle: 20 }]);
+    animateAircraft(rig, { pitch: 1 }, 0, 10);
+    const angle = 2 * Math.acos(rig.surfaces[0].pivot.quaternion.w);
+    assert.ok(Math.abs(THREE.MathUtils.radToDeg(angle) - 20) < 0.01);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createFlightState, stepFlight, GRAVITY } from '../src/flight-model.js';
+
+const DT = 1 / 60;
+
+/**
+ * Steps a state repeatedly with the same controls.
+ * @param {Object} state - Starting flight state.
+ * @param {Object} controls - Controls for every step.
+ * @param {number} seconds - How long to fly.
+ * @param {Object} [options] - Options for stepFlight().
+ * @returns {Object} The final state.
+ */
+function fly(state, controls, seconds, options) {
+    for (let t = 0; t < seconds; t += DT) { state = stepFlight(state, controls, DT, options); }
+    return state;
+}
+
+test('stepFlight does not modify the state it is given', () => {
+    const state = createFlightState({ position: new THREE.Vector3(0, 1000, 0), speed: 50, throttle: 0.5 });
+    const position = state.position.clone();
+    const next = stepFlight(state, { pitch: 0.5 }, DT);
+    assert.notEqual(next, state);
+    assert.deepEqual(state.position, position);
+    assert.equal(state.time, 0);
+    assert.ok(Math.abs(next.time - DT) < 1e-9);
+});
+
+test('stepFlight pulls an aircraft with no airspeed down under gravity', () => {
+    const state = createFlightState({ position: new THREE.Vector3(0, 1000, 0) });
+    const next = fly(state, {}, 1);
+    assert.ok(next.velocity.y < -GRAVITY * 0.8, `fell at ${next.velocity.y} m/s`);
+    assert.ok(next.position.y < 1000);
+});
+
+test('stepFlight keeps a cruising aircraft flying', () => {
+    const state = createFlightState({ position: new THREE.Vector3(0, 1000, 0), speed: 60, throttle: 0.7 });
+    const next = fly(state, {}, 5);
+    assert.ok(next.airspeed > 30, `airspeed ${next.airspeed} m/s`);
+    assert.ok(Math.abs(next.position.y - 1000) < 200, `height ${next.position.y} m`);
+    assert.equal(next.stalled, false);
+});
+
+test('stepFlight stops the aircraft at the ground', () => {
+    const state = createFlightState({ position: new THREE.Vector3(0, 10, 0) });
+    const next = fly(state, {}, 5, { groundHeight: 0 });
+    assert.equal(next.onGround, true);
+    assert.ok(next.position.y >= 0);
+});
+
+test('stepFlight is deterministic', () => {
+    const state = createFlightState({ position: new THREE.Vector3(0, 500, 0), speed: 50, throttle: 0.6 });
+    const controls = { pitch: 0.2, roll: -0.3, yaw: 0.1 };
+    const a = fly(state, controls, 3);
+    const b = fly(state, controls, 3);
+    assert.deepEqual(a.position.toArray(), b.position.toArray());
+    assert.deepEqual(a.quaternion.toArray(), b.quaternion.toArray());
+});
+
+test('stepFlight measures air density and the ceiling from sea level', () => {
+    const controls = { pitch: 0.3 };
+    const low = fly(createFlightState({ position: new THREE.Vector3(0, -150, 0), speed: 50, throttle: 0.6 }), controls, 2, { seaLevel: -160 });
+    const high = fly(createFlightState({ position: new THREE.Vector3(0, 10, 0), speed: 50, throttle: 0.6 }), controls, 2);
+    assert.ok(Math.abs(low.position.y + 160 - high.position.y) < 1e-3);
+    assert.ok(Math.abs(low.airspeed - high.airspeed) < 1e-6);
+});
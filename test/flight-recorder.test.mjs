@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createFlightState } from '../src/flight-model.js';
+import {
+    startRecording, stopRecording, recordSample, exportRecording, parseRecording, sampleRecording, RECORDING_RATE,
+} from '../src/flight-recorder.js';
+
+/**
+ * Records a short straight and level flight.
+ * @returns {Object} The recording.
+ */
+function recordFlight() {
+    startRecording({ seed: 1, weatherSeed: 2, aircraft: 'cessna' });
+    let state = createFlightState({ position: new THREE.Vector3(0, 100, 0), speed: 50, throttle: 0.5 });
+    for (let i = 0; i <= RECORDING_RATE; i++) {
+        recordSample(state, { pitch: 0, roll: 0, yaw: 0 }, {
+            simTime: new Date(Date.UTC(2024, 0, 1, 12)),
+            weather: 'clear',
+            gear: { down: true, position: 1 },
+        });
+        state = { ...state, position: state.position.clone().add(new THREE.Vector3(0, 0, -50 / RECORDING_RATE)), time: state.time + 1 / RECORDING_RATE };
+    }
+    return stopRecording();
+}
+
+test('a recording survives export and parsing', () => {
+    const recording = recordFlight();
+    assert.equal(recording.samples.length, RECORDING_RATE + 1);
+    const parsed = parseRecording(exportRecording(recording));
+    assert.equal(parsed.seed, 1);
+    assert.equal(parsed.aircraft, 'cessna');
+    assert.equal(parsed.samples.length, recording.samples.length);
+});
+
+test('parseRecording rejects files that are not recordings', () => {
+    assert.throws(() => parseRecording('{}'), /Not a flight recording/);
+    assert.throws(() => parseRecording(JSON.stringify({ version: 1, samples: [{}] })), /Unsupported recording version/);
+    assert.throws(() => parseRecording('not json'), SyntaxError);
+});
+
+test('sampleRecording interpolates between samples and clamps to the ends', () => {
+    const recording = recordFlight();
+    const middle = sampleRecording(recording, 0.5 / RECORDING_RATE);
+    assert.ok(Math.abs(middle.state.position.z + 25 / RECORDING_RATE) < 1e-6);
+    assert.equal(middle.gear.position, 1);
+    assert.equal(middle.weather, 'clear');
+    const before = sampleRecording(recording, -10);
+    assert.equal(before.state.position.z, 0);
+    const after = sampleRecording(recording, 10);
+    assert.ok(Math.abs(after.state.position.z + 50) < 1e-6);
+});
+
+test('parseRecording rejects recordings with bad samples', () => {
+    const recording = JSON.parse(exportRecording(recordFlight()));
+    const broken = (change) => {
+        const copy = structuredClone(recording);
+        change(copy.samples[3]);
+        return JSON.stringify(copy);
+    };
+    assert.throws(() => parseRecording(broken((sample) => { sample.position = [0, 1]; })), /Sample 4 has a bad position/);
+    assert.throws(() => parseRecording(broken((sample) => { sample.quaternion[2] = null; })), /bad orientation/);
+    assert.throws(() => parseRecording(broken((sample) => { sample.velocity = 'fast'; })), /bad velocity/);
+    assert.throws(() => parseRecording(broken((sample) => { sample.time = 0; })), /time out of order/);
+    assert.throws(() => parseRecording(broken((sample) => { sample.gear = { down: true }; })), /bad gear/);
+    assert.throws(() => parseRecording(broken((sample) => { sample.controls.roll = 'left'; })), /bad controls/);
+    assert.throws(() => parseRecording(JSON.stringify({ ...recording, seed: 'x' })), /no world seed/);
+});
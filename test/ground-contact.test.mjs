@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { detectGroundContact, TOUCHDOWN_LIMITS } from '../src/ground-contact.js';
+
+/**
+ * A minimal flight state for ground contact checks.
+ * @param {Object} options
+ * @param {Array<number>} [options.velocity] - World velocity, m/s.
+ * @param {number} [options.bank] - Bank angle, degrees.
+ * @param {number} [options.pitch] - Pitch angle, degrees, positive nose up.
+ * @param {boolean} [options.onGround] - Whether the aircraft is on the ground.
+ * @returns {Object}
+ */
+function state({ velocity = [0, 0, -30], bank = 0, pitch = 0, onGround = false } = {}) {
+    return {
+        quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(
+            THREE.MathUtils.degToRad(pitch), 0, THREE.MathUtils.degToRad(bank), 'YXZ')),
+        velocity: new THREE.Vector3(...velocity),
+        onGround,
+    };
+}
+
+test('detectGroundContact reports nothing in the air', () => {
+    assert.equal(detectGroundContact(state(), state()), null);
+});
+
+test('detectGroundContact accepts a gentle touchdown', () => {
+    const contact = detectGroundContact(state({ velocity: [0, -1, -30] }), state({ onGround: true }));
+    assert.equal(contact.type, 'touchdown');
+    assert.equal(contact.sinkRate, 1);
+});
+
+test('detectGroundContact crashes outside the touchdown limits', () => {
+    const ground = state({ onGround: true });
+    const sinking = state({ velocity: [0, -(TOUCHDOWN_LIMITS.maxSinkRate + 1), -30] });
+    assert.equal(detectGroundContact(sinking, ground).reason, 'Descending too fast');
+    assert.equal(detectGroundContact(state({ velocity: [0, -1, -30], bank: 20 }), ground).reason, 'Wings not level');
+    assert.equal(detectGroundContact(state({ velocity: [0, -1, -30], pitch: -10 }), ground).reason, 'Nose down');
+    const fast = state({ velocity: [0, -1, -80] });
+    assert.equal(detectGroundContact(fast, state({ velocity: [0, 0, -80], onGround: true })).reason, 'Too fast');
+});
+
+test('detectGroundContact crashes on water', () => {
+    const contact = detectGroundContact(state({ velocity: [0, -1, -30] }), state({ onGround: true }), { surface: 'water' });
+    assert.equal(contact.type, 'crash');
+});
+
+test('detectGroundContact reports a landing once the aircraft stops', () => {
+    const rolling = state({ velocity: [0, 0, -2], onGround: true });
+    const stopped = state({ velocity: [0, 0, -0.5], onGround: true });
+    assert.equal(detectGroundContact(rolling, stopped).type, 'landed');
+    assert.equal(detectGroundContact(stopped, stopped), null);
+});
+
+test('detectGroundContact crashes a touchdown without the gear down', () => {
+    const gentle = state({ velocity: [0, -1, -30] });
+    const ground = state({ onGround: true });
+    assert.equal(detectGroundContact(gentle, ground, { gear: 0 }).reason, 'Landed with the gear up');
+    assert.equal(detectGroundContact(gentle, ground, { gear: 0.6 }).type, 'crash');
+    assert.equal(detectGroundContact(gentle, ground, { gear: 1 }).type, 'touchdown');
+});
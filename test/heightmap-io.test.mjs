@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportHeightmaps, decodeHeightmapImage, sliceHeightmap, hashHeightmaps } from '../src/heightmap-io.js';
+import { generateTerrain } from '../src/terrain-generation.js';
+import { createRandom } from '../src/random.js';
+
+const SQUARE_SIZE = 2000;
+const DETAIL = 7;
+const SAMPLES = 2 ** DETAIL + 1;
+const HEIGHT_OFFSET = -50;
+
+/**
+ * Reads the files out of a stored (uncompressed) ZIP.
+ * @param {Uint8Array} bytes - ZIP file.
+ * @returns {Map<string, Uint8Array>} File contents by name.
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const files = new Map();
+    let offset = 0;
+    while (view.getUint32(offset, true) === 0x04034b50) {
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const extraLength = view.getUint16(offset + 28, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+        const start = offset + 30 + nameLength + extraLength;
+        files.set(name, bytes.subarray(start, start + size));
+        offset = start + size;
+    }
+    return files;
+}
+
+/**
+ * A flat image with one value per pixel.
+ * @param {number} width - Pixels per row.
+ * @param {number} height - Rows.
+ * @param {function(number, number): number} value - Value at a column and row.
+ * @returns {{width: number, height: number, data: Float32Array}}
+ */
+function image(width, height, value) {
+    const data = new Float32Array(width * height);
+    for (let row = 0; row < height; row++) {
+        for (let column = 0; column < width; column++) { data[row * width + column] = value(column, row); }
+    }
+    return { width, height, data };
+}
+
+test('sliceHeightmap cuts the chunks an image covers, sharing their edges', () => {
+    const spacing = SQUARE_SIZE / (SAMPLES - 1);
+    const options = { squareSize: SQUARE_SIZE, samples: SAMPLES, metersPerPixel: spacing, minHeight: 0, maxHeight: 1000, heightOffset: HEIGHT_OFFSET };
+    const chunks = sliceHeightmap(image(400, 300, (column, row) => (column + row) / 700), options);
+    assert.deepEqual(Object.keys(chunks).sort(), ['-1,0', '0,0', '1,0']);
+    const [west, middle] = [chunks['-1,0'], chunks['0,0']];
+    // Column 0 is at the +x edge, the last column at the -x edge
+    for (let i = 0; i < SAMPLES; i++) { assert.equal(west[i][0], middle[i][SAMPLES - 1]); }
+    // Heights grow to the east (columns) and south (rows) of the image
+    assert.ok(middle[0][0] > middle[0][SAMPLES - 1]);
+    assert.ok(middle[0][0] > middle[SAMPLES - 1][0]);
+    assert.throws(() => sliceHeightmap(image(400, 300, () => 0), { ...options, maxChunks: 2 }), /3 chunks/);
+});
+
+test('exported chunks import back to the same heights', () => {
+    const terrain = generateTerrain(DETAIL, 1, { random: createRandom(3) });
+    return exportHeightmaps({ '0,0': terrain }, { squareSize: SQUARE_SIZE, heightOffset: HEIGHT_OFFSET, seed: 3 })
+        .then(zip => zip.arrayBuffer())
+        .then((buffer) => {
+            const files = readZip(new Uint8Array(buffer));
+            const manifest = JSON.parse(new TextDecoder().decode(files.get('manifest.json')));
+            const [chunk] = manifest.chunks;
+            return decodeHeightmapImage(new Blob([files.get(chunk.png)])).then((decoded) => {
+                const imported = sliceHeightmap(decoded, {
+                    squareSize: SQUARE_SIZE,
+                    samples: SAMPLES,
+                    metersPerPixel: manifest.spacing,
+                    minHeight: chunk.min,
+                    maxHeight: chunk.max,
+                    heightOffset: HEIGHT_OFFSET,
+                })['0,0'];
+                const tolerance = (chunk.max - chunk.min) / 65535;
+                for (let i = 0; i < SAMPLES; i++) {
+                    for (let j = 0; j < SAMPLES; j++) {
+                        assert.ok(Math.abs(imported[i][j] - terrain[i][j]) <= tolerance, `height at ${i}, ${j}`);
+                    }
+                }
+            });
+        });
+});
+
+test('hashHeightmaps tells different terrain apart', () => {
+    const terrain = () => ({ '0,0': generateTerrain(3, 1, { random: createRandom(9) }) });
+    const same = terrain(), changed = terrain(), moved = { '1,0': terrain()['0,0'] };
+    changed['0,0'][4][4] += 0.001;
+    assert.equal(hashHeightmaps(terrain()), hashHeightmaps(same));
+    assert.notEqual(hashHeightmaps(changed), hashHeightmaps(same));
+    assert.notEqual(hashHeightmaps(moved), hashHeightmaps(same));
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Yaw on a button each way, pitch as saved before axes took a button per
+// direction, roll and the camera saved malformed, and a centered gamepad
+// with every button released
+const saved = {
+    axes: {
+        yaw: { gamepad: { positive: { button: 5 }, negative: { button: 6 } } },
+        pitch: { gamepad: { button: 4 } },
+        roll: { positive: 'KeyD', gamepad: { positive: 'x' }, sensitivity: 'high' },
+    },
+    commands: { camera: { keys: null, gamepad: { button: -1 } } },
+};
+globalThis.localStorage = { getItem: () => JSON.stringify(saved), setItem: () => {}, removeItem: () => {} };
+const buttons = Array.from({ length: 16 }, () => ({ value: 0 }));
+const axes = [0, 0, 0, 0];
+globalThis.navigator = { getGamepads: () => [{ connected: true, axes, buttons }] };
+const { updateInput, readInput } = await import('../src/input.js');
+
+/**
+ * Presses gamepad buttons and reads the controls.
+ * @param {Object<number, number>} pressed - Button values by index.
+ * @returns {Object} Controls from readInput().
+ */
+function readWith(pressed) {
+    buttons.forEach((button, index) => { button.value = pressed[index] ?? 0; });
+    updateInput();
+    return readInput();
+}
+
+test('a button bound to an axis pushes it in its direction', () => {
+    assert.equal(readWith({}).brake, 0);
+    assert.equal(readWith({ 7: 1 }).brake, 1);
+    assert.equal(readWith({ 7: 0.5 }).brake, 0.5);
+});
+
+test('the negative button pulls an axis the other way', () => {
+    assert.equal(readWith({ 5: 1 }).yaw, 1);
+    assert.equal(readWith({ 6: 1 }).yaw, -1);
+    assert.equal(readWith({ 5: 1, 6: 1 }).yaw, 0);
+});
+
+test('an axis saved with a single button keeps pushing it positive', () => {
+    assert.equal(readWith({ 4: 1 }).pitch, 1);
+    assert.equal(readWith({}).pitch, 0);
+});
+
+test('malformed saved bindings fall back to the defaults', () => {
+    axes[0] = 1;
+    assert.equal(readWith({}).roll, 1);
+    axes[0] = 0;
+    assert.equal(readWith({ 3: 1 }).roll, 0);
+});
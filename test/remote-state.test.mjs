@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { parseRemoteState, sampleRemote } from '../src/remote-state.js';
+
+/**
+ * A remote state moving along x at 10 m/s.
+ * @param {number} t - Sender's time, seconds.
+ * @returns {Object}
+ */
+function remoteState(t) {
+    return {
+        t,
+        position: new THREE.Vector3(10 * t, 100, 0),
+        quaternion: new THREE.Quaternion(),
+        velocity: new THREE.Vector3(10, 0, 0),
+        throttle: t / 10,
+        controls: { pitch: 0, roll: t / 10, yaw: 0 },
+        gear: 1,
+    };
+}
+
+const samples = [remoteState(0), remoteState(1), remoteState(2)];
+
+test('sampleRemote interpolates between the states either side', () => {
+    const sample = sampleRemote(samples, 1.5);
+    assert.ok(Math.abs(sample.position.x - 15) < 1e-9);
+    assert.ok(Math.abs(sample.throttle - 0.15) < 1e-9);
+    assert.ok(Math.abs(sample.controls.roll - 0.15) < 1e-9);
+});
+
+test('sampleRemote holds the first state before the samples start', () => {
+    assert.equal(sampleRemote(samples, -1).position.x, 0);
+});
+
+test('sampleRemote extrapolates a late aircraft for at most a second', () => {
+    assert.ok(Math.abs(sampleRemote(samples, 2.5).position.x - 25) < 1e-9);
+    assert.ok(Math.abs(sampleRemote(samples, 10).position.x - 30) < 1e-9);
+    assert.equal(samples[2].position.x, 20);
+});
+
+test('parseRemoteState drops states without a usable time, position or orientation', () => {
+    const state = { t: 1, position: [0, 100, 0], quaternion: [0, 0, 0, 1] };
+    assert.ok(parseRemoteState(state));
+    assert.equal(parseRemoteState({ ...state, t: 'now' }), null);
+    assert.equal(parseRemoteState({ ...state, position: [0, 100] }), null);
+    assert.equal(parseRemoteState({ ...state, position: [0, null, 0] }), null);
+    assert.equal(parseRemoteState({ ...state, quaternion: [0, 0, 0, 0] }), null);
+});
+
+test('parseRemoteState replaces bad optional fields with harmless values', () => {
+    const sample = parseRemoteState({
+        t: 1, position: [0, 100, 0], quaternion: [0, 0, 0, 2],
+        velocity: [1, 'x', 3], throttle: 7, controls: { pitch: -3, roll: null }, gear: 'down',
+    });
+    assert.deepEqual(sample.velocity.toArray(), [0, 0, 0]);
+    assert.deepEqual(sample.quaternion.toArray(), [0, 0, 0, 1]);
+    assert.equal(sample.throttle, 1);
+    assert.deepEqual(sample.controls, { pitch: -1, roll: 0, yaw: 0 });
+    assert.equal(sample.gear, 1);
+    assert.deepEqual(parseRemoteState({ t: 1, position: [0, 0, 0], quaternion: [0, 0, 0, 1], controls: 5 }).controls,
+        { pitch: 0, roll: 0, yaw: 0 });
+});
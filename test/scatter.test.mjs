@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scatterChunk } from '../src/scatter.js';
+import { runwayForChunk, flattenRunways, isOnRunway, RUNWAY_APRON } from '../src/runways.js';
+import { generateTerrain } from '../src/terrain-generation.js';
+import { createRandom, hashSeed } from '../src/random.js';
+
+const SEED = 1234;
+const SQUARE_SIZE = 2000;
+const DETAIL = 7;
+const HEIGHT_OFFSET = -100;
+
+test('the spawn chunk has no trees, rocks or houses on its runway', () => {
+    const terrain = generateTerrain(DETAIL, 1.25, { random: createRandom(hashSeed(SEED, 0, 0)) });
+    const chunk = {
+        originX: SQUARE_SIZE / 2,
+        originZ: SQUARE_SIZE / 2,
+        spacing: SQUARE_SIZE / 2 ** DETAIL,
+        heightOffset: HEIGHT_OFFSET,
+    };
+    // Keep the whole chunk well above the sea so everything can grow
+    const seaLevel = Math.min(...terrain.map(row => Math.min(...row))) - 20;
+    const runway = runwayForChunk(SEED, 0, 0, {
+        squareSize: SQUARE_SIZE, elevation: terrain[64][64] + HEIGHT_OFFSET, seaLevel: seaLevel + HEIGHT_OFFSET, always: true,
+    });
+    flattenRunways(terrain, { ...chunk, runways: [runway] });
+
+    const onRunway = ({ trees, rocks, houses }) =>
+        [...trees, ...rocks, ...houses].filter(placement => isOnRunway(runway, placement, RUNWAY_APRON));
+    const options = { ...chunk, seaLevel, seed: hashSeed(SEED, 'scatter', 0, 0) };
+    assert.ok(onRunway(scatterChunk(terrain, options)).length > 0, 'the runway would be scattered over otherwise');
+    assert.deepEqual(onRunway(scatterChunk(terrain, { ...options, runways: [runway] })), []);
+});
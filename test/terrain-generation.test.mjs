@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTerrain, generateEdge, extractTop, extractBottom, extractLeft, extractRight } from '../src/terrain-generation.js';
+import { createRandom } from '../src/random.js';
+
+const DETAIL = 5;
+const SIZE = 2 ** DETAIL + 1;
+
+test('generateEdge is deterministic for a seed and keeps its ends', () => {
+    const a = generateEdge(DETAIL, 1, 10, -5, createRandom(42));
+    const b = generateEdge(DETAIL, 1, 10, -5, createRandom(42));
+    const c = generateEdge(DETAIL, 1, 10, -5, createRandom(43));
+    assert.equal(a.length, SIZE);
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a, c);
+    assert.equal(a[0], 10);
+    assert.equal(a[SIZE - 1], -5);
+});
+
+test('generateTerrain is deterministic for a seed', () => {
+    const a = generateTerrain(DETAIL, 1, { random: createRandom(7) });
+    const b = generateTerrain(DETAIL, 1, { random: createRandom(7) });
+    const c = generateTerrain(DETAIL, 1, { random: createRandom(8) });
+    assert.equal(a.length, SIZE);
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a, c);
+});
+
+test('generateTerrain matches its edge constraints exactly', () => {
+    const top = generateEdge(DETAIL, 1, 0, 4, createRandom(1));
+    const bottom = generateEdge(DETAIL, 1, 2, 6, createRandom(2));
+    const left = generateEdge(DETAIL, 1, 4, 6, createRandom(3));
+    const right = generateEdge(DETAIL, 1, 0, 2, createRandom(4));
+    const terrain = generateTerrain(DETAIL, 1, { top, bottom, left, right, random: createRandom(5) });
+    assert.deepEqual(extractTop(terrain), top);
+    assert.deepEqual(extractBottom(terrain), bottom);
+    assert.deepEqual(Float32Array.from(extractLeft(terrain)), left);
+    assert.deepEqual(Float32Array.from(extractRight(terrain)), right);
+});